@@ -9,9 +9,14 @@
  * object — this is Vue's way of doing global state without Pinia.
  */
 
-import { reactive, computed, watch } from 'vue'
+import { ref, reactive, computed, watch } from 'vue'
 import {
   getAllCharacterNames,
+  getAllWeaponNames,
+  getAllArtifactSetNames,
+  getTravelerElements,
+  getTravelerTalentName,
+  TRAVELER,
   getCharacterAscensionCosts,
   getWeaponAscensionCosts,
   getWeaponRarity,
@@ -19,99 +24,693 @@ import {
   getMaterialIconUrl,
   mergeCosts,
 } from '../data/genshinData.js'
-import { getCharacterLevelUpCosts, getWeaponLevelUpCosts, getArtifactLevelCost, getArtifactXpCost } from '../data/levelTables.js'
+import { resolveCrafting } from '../data/crafting.js'
+import { expandExpCosts, expandEachExpCosts, CHARACTER_EXP, WEAPON_EXP } from '../data/expOptimiser.js'
+import { planFarming, allocateCrowns, DEFAULT_DAILY_RESIN, DREAM_SOLVENT, CROWN_OF_INSIGHT } from '../data/farmingPlanner.js'
+import { allocateInventory, planMaterialUse } from '../data/allocation.js'
+import { planArtifactFodder, FODDER_RARITIES } from '../data/artifactFodder.js'
+import {
+  SET_PLAN_TYPES, ARTIFACT_MAIN_STATS, ARTIFACT_SUBSTATS, createSetPlan, planArtifactDomains, findOffPieceConflicts,
+} from '../data/artifactSets.js'
+import { planWeaponMaterials } from '../data/weaponMaterials.js'
+import { createRosterView, normaliseRosterView } from '../data/rosterFilters.js'
+import { createTemplate, targetsFromGoal, applyTemplate, describeTemplate, TEMPLATE_MODES } from '../data/goalTemplates.js'
+import { parseEnkaData } from '../data/enkaImport.js'
+import { parseGood, toGood } from '../data/goodFormat.js'
+import { encodeShareHash, decodeShareHash, isShareHash } from '../data/shareLink.js'
+import {
+  getCharacterLevelUpCosts,
+  getWeaponLevelUpCosts,
+  getArtifactLevelCost,
+  getArtifactXpCost,
+  artifactLevelOptions,
+  ARTIFACT_MAX_LEVEL,
+  ARTIFACT_RARITIES,
+  LEVELS,
+  LEVEL_LABELS,
+  levelRank,
+} from '../data/levelTables.js'
 
 // ──────────────────────────────────────────────────────────
 // Constants
 // ──────────────────────────────────────────────────────────
 
-const STORAGE_KEY = 'genshin-training-guide-v1'
+// Each profile's save lives under `${STORAGE_KEY}:${profileId}`
+const STORAGE_KEY = 'genshin-training-guide'
+// The profile list and which one is active
+const PROFILES_STORAGE_KEY = 'genshin-training-guide-profiles'
+// Where the single save lived before it carried a schema version
+const LEGACY_STORAGE_KEY = 'genshin-training-guide-v1'
+// Each profile's save as it was before a migration upgraded it lives under
+// `${BACKUP_STORAGE_KEY}:${profileId}`
+const BACKUP_STORAGE_KEY = 'genshin-training-guide-backup'
+
+const DEFAULT_PROFILE_NAME = 'Main'
+
+// Undo steps kept per session (the history isn't saved)
+const HISTORY_LIMIT = 50
+// Edits to the same thing this close together are undone as one step
+// (e.g. a level change that also raises the target)
+const HISTORY_MERGE_MS = 500
 
-// Valid level caps that align with ascension phase milestones
-export const VALID_CHARACTER_LEVELS = [20, 40, 50, 60, 70, 80, 90]
-export const VALID_WEAPON_LEVELS    = [20, 40, 50, 60, 70, 80, 90]
+// Every level 1–90, plus the ascended keys '20A' … '80A' (see levelTables.js)
+export const VALID_CHARACTER_LEVELS = LEVELS
+export const VALID_WEAPON_LEVELS    = LEVELS
 
 // ──────────────────────────────────────────────────────────
 // Module-level reactive state
 // ──────────────────────────────────────────────────────────
 
-const state = reactive({
-  /** Array of character names the user has marked as owned */
-  ownedCharacters: [],
-
-  /**
-   * Goals keyed by character name.
-   * Each entry is created lazily when a character is first selected.
-   * Shape: see createDefaultGoal() below.
-   */
-  characterGoals: {},
-
-  /** The currently selected character name (string | null) */
-  selectedCharacter: null,
-
-  /**
-   * When true, clicking a CharacterCard toggles ownership
-   * instead of selecting the character for the detail panel.
-   */
-  ownershipMode: false,
-})
+/**
+ * A fresh, empty state. Each profile is one of these, saved under its own
+ * key; switching profiles swaps the contents of `state` in place.
+ */
+function createDefaultState() {
+  return {
+    /**
+     * Array of character names the user has marked as owned, in priority
+     * order (first = highest). materialAllocation hands the inventory out in
+     * this order.
+     */
+    ownedCharacters: [],
+
+    /**
+     * Goals keyed by character name.
+     * Each entry is created lazily when a character is first selected.
+     * Shape: see createDefaultGoal() below.
+     */
+    characterGoals: {},
+
+    /**
+     * Weapon armory: every weapon the user owns, one entry per copy.
+     * Shape: [{ id, name, level, refinement }] — id is a unique integer,
+     * level a level key (e.g. 73 or '80A', so it also records ascension) and
+     * refinement the rank 1–5. A goal uses a copy by pointing goal.weaponId at
+     * it; each copy can be assigned to at most one character.
+     */
+    weapons: [],
+
+    /**
+     * Materials the user currently has in their bag, keyed by material name.
+     * Shape: { [materialName]: count }. Missing keys mean 0 owned.
+     */
+    inventory: {},
+
+    /** User preferences for the planning views */
+    settings: {
+      /** Resin the farming planner schedules per day */
+      dailyResin: DEFAULT_DAILY_RESIN,
+
+      /** Goal templates, see goalTemplates.js for the shape */
+      goalTemplates: [],
+
+      /** Template new goals start from (its id), or null for the standard targets */
+      defaultTemplateId: null,
+
+      /**
+       * Levelled artifacts set aside as fodder, fed before +0 ones (see
+       * artifactFodder.js). Shape: [{ rarity, level, count }], one entry per
+       * rarity and level.
+       */
+      levelledFodder: [],
+    },
+
+    /** The currently selected character name (string | null) */
+    selectedCharacter: null,
+
+    /**
+     * When true, clicking a CharacterCard toggles ownership
+     * instead of selecting the character for the detail panel.
+     */
+    ownershipMode: false,
+
+    /**
+     * The character grid's filters, sort and grouping; see rosterFilters.js.
+     * UI state like the two above, so not part of the undo history.
+     */
+    rosterView: createRosterView(),
+  }
+}
+
+const state = reactive(createDefaultState())
+
+/**
+ * Account profiles (e.g. a main and an alt). Saved separately from the
+ * profiles' own data under PROFILES_STORAGE_KEY.
+ * Shape: { activeId, profiles: [{ id, name }] } — ids are unique integers.
+ */
+const profileIndex = reactive({ activeId: 1, profiles: [{ id: 1, name: DEFAULT_PROFILE_NAME }] })
 
 // ──────────────────────────────────────────────────────────
 // Default goal factory
 // ──────────────────────────────────────────────────────────
 
+/** Default level range for a character's three combat talents. */
+function createDefaultTalents() {
+  return {
+    normalAttack: { currentLevel: 1, targetLevel: 9 },
+    skill:        { currentLevel: 1, targetLevel: 9 },
+    burst:        { currentLevel: 1, targetLevel: 9 },
+  }
+}
+
+/**
+ * Talent goal for one of the Traveler's elements. Each element has its own
+ * constellations and talent levels in game, so both live here.
+ */
+function createElementGoal() {
+  return { constellation: 0, talents: createDefaultTalents() }
+}
+
 /**
  * Returns a fresh goal object with sensible defaults.
  * Called by ensureGoal() the first time a character is selected.
+ *
+ * The Traveler shares one level / weapon / artifact goal across elements,
+ * but has `elements: { [element]: createElementGoal() }` — one entry per
+ * unlocked element — instead of `talents` and `constellation`.
  */
-function createDefaultGoal() {
-  return {
+function createDefaultGoal(charName) {
+  const goal = {
     currentLevel: 1,
     targetLevel:  90,
+    constellation: 0,  // 0–6; C3/C5 (and some passives) raise effective talent levels
 
     weapon:             null,  // weapon name string, or null if not yet set
+    weaponId:           null,  // id of the armory copy being used, or null when planning a new one
     weaponCurrentLevel: 1,
     weaponTargetLevel:  90,
 
+    // set: the artifact set the slot should come from, or null for an off-piece
+    // rarity: 1–5; caps the levels (a 4★ piece stops at +16)
     artifacts: [
-      { slot: 'Flower',  currentLevel: 0, targetLevel: 20, mainStat: 'HP',  desiredSubstats: [], targetSubstatCount: 0 },
-      { slot: 'Plume',   currentLevel: 0, targetLevel: 20, mainStat: 'ATK', desiredSubstats: [], targetSubstatCount: 0 },
-      { slot: 'Sands',   currentLevel: 0, targetLevel: 20, mainStat: null,  desiredSubstats: [], targetSubstatCount: 0 },
-      { slot: 'Goblet',  currentLevel: 0, targetLevel: 20, mainStat: null,  desiredSubstats: [], targetSubstatCount: 0 },
-      { slot: 'Circlet', currentLevel: 0, targetLevel: 20, mainStat: null,  desiredSubstats: [], targetSubstatCount: 0 },
+      { slot: 'Flower',  rarity: 5, currentLevel: 0, targetLevel: 20, mainStat: 'HP',  set: null, desiredSubstats: [], targetSubstatCount: 0 },
+      { slot: 'Plume',   rarity: 5, currentLevel: 0, targetLevel: 20, mainStat: 'ATK', set: null, desiredSubstats: [], targetSubstatCount: 0 },
+      { slot: 'Sands',   rarity: 5, currentLevel: 0, targetLevel: 20, mainStat: null,  set: null, desiredSubstats: [], targetSubstatCount: 0 },
+      { slot: 'Goblet',  rarity: 5, currentLevel: 0, targetLevel: 20, mainStat: null,  set: null, desiredSubstats: [], targetSubstatCount: 0 },
+      { slot: 'Circlet', rarity: 5, currentLevel: 0, targetLevel: 20, mainStat: null,  set: null, desiredSubstats: [], targetSubstatCount: 0 },
     ],
+    artifactSetPlan: createSetPlan(),  // set bonus being built, see artifactSets.js
 
-    talents: {
-      normalAttack: { currentLevel: 1, targetLevel: 9 },
-      skill:        { currentLevel: 1, targetLevel: 9 },
-      burst:        { currentLevel: 1, targetLevel: 9 },
-    },
+    talents: createDefaultTalents(),
+  }
+
+  if (charName === TRAVELER) {
+    delete goal.talents
+    delete goal.constellation
+    goal.elements = { [getTravelerElements()[0]]: createElementGoal() }
+  }
+  return goal
+}
+
+/**
+ * The talent sets of a goal, each with the name to pass to the talent
+ * functions in genshinData.js. Regular characters have one set; the
+ * Traveler has one per unlocked element.
+ *
+ * Returns [{ element, talentOwner, constellation, talents }] where element
+ * is null for regular characters.
+ */
+function getTalentSets(charName, goal) {
+  if (charName === TRAVELER) {
+    return Object.entries(goal.elements ?? {}).map(([element, entry]) => ({
+      element,
+      talentOwner:   getTravelerTalentName(element),
+      constellation: entry.constellation ?? 0,
+      talents:       entry.talents,
+    }))
+  }
+  return [{ element: null, talentOwner: charName, constellation: goal.constellation ?? 0, talents: goal.talents }]
+}
+
+// ──────────────────────────────────────────────────────────
+// Save schema and migrations
+// ──────────────────────────────────────────────────────────
+
+/**
+ * Version of the saved / exported data layout. Whenever the layout changes,
+ * bump it and append a step to MIGRATIONS.
+ */
+const SCHEMA_VERSION = 4
+
+/**
+ * Fills any field a goal is missing from createDefaultGoal(), including the
+ * fields of each artifact slot and talent. Fields already present are kept.
+ */
+function fillGoalDefaults(goal, charName) {
+  const defaults = createDefaultGoal(charName)
+  for (const [key, value] of Object.entries(defaults)) {
+    if (goal[key] === undefined) goal[key] = value
+  }
+  if (Array.isArray(goal.artifacts)) {
+    goal.artifacts.forEach((artifact, i) => {
+      if (typeof artifact === 'object' && artifact !== null && defaults.artifacts[i]) {
+        for (const [key, value] of Object.entries(defaults.artifacts[i])) {
+          if (artifact[key] === undefined) artifact[key] = value
+        }
+      }
+    })
+  }
+}
+
+/** Runs fn(goal, charName) for every goal in a save that is an object. */
+function forEachSavedGoal(data, fn) {
+  if (typeof data.characterGoals !== 'object' || data.characterGoals === null) return
+  for (const [charName, goal] of Object.entries(data.characterGoals)) {
+    if (typeof goal === 'object' && goal !== null) fn(goal, charName)
+  }
+}
+
+/**
+ * Upgrade steps: MIGRATIONS[n - 1] turns a version n save into version n + 1,
+ * in place. Saves from before versioning have no schemaVersion and count as 1.
+ */
+const MIGRATIONS = [
+  // 1 → 2: goals gain constellation, the armory weaponId and (for the
+  // Traveler) per-element talents; every artifact slot carries its substat
+  // fields, which older saves could be missing
+  data => {
+    if (!Array.isArray(data.weapons)) data.weapons = []
+    if (typeof data.inventory !== 'object' || data.inventory === null) data.inventory = {}
+    forEachSavedGoal(data, fillGoalDefaults)
+  },
+  // 2 → 3: goals gain an artifact set plan and every artifact slot a set tag
+  data => forEachSavedGoal(data, fillGoalDefaults),
+  // 3 → 4: every artifact slot gains a rarity (all were 5★ until now)
+  data => forEachSavedGoal(data, fillGoalDefaults),
+]
+
+/**
+ * Brings parsed save / export data up to SCHEMA_VERSION in place. Goals of
+ * any version that are missing fields get the defaults for them, so a
+ * hand-edited current-version file is as complete as an upgraded one.
+ * Returns { errors, fromVersion }; errors is non-empty (and the data left
+ * untouched) for a version this app doesn't know.
+ */
+function migrateSave(data) {
+  const fromVersion = data?.schemaVersion ?? 1
+  if (typeof data !== 'object' || data === null) return { errors: ['Saved data must be a JSON object'], fromVersion }
+  if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+    return { errors: [`Invalid schemaVersion: ${JSON.stringify(fromVersion)}`], fromVersion }
+  }
+  if (fromVersion > SCHEMA_VERSION) {
+    return {
+      errors: [`Saved by a newer version of the app (schema ${fromVersion}; this version reads up to ${SCHEMA_VERSION})`],
+      fromVersion,
+    }
+  }
+
+  for (let version = fromVersion; version < SCHEMA_VERSION; version++) {
+    MIGRATIONS[version - 1](data)
+  }
+  forEachSavedGoal(data, fillGoalDefaults)
+  data.schemaVersion = SCHEMA_VERSION
+  return { errors: [], fromVersion }
+}
+
+/** The state as saved and exported, tagged with its schema version */
+function toSaveData() {
+  return { schemaVersion: SCHEMA_VERSION, ...state }
+}
+
+// ──────────────────────────────────────────────────────────
+// History (undo / redo)
+// ──────────────────────────────────────────────────────────
+//
+// Every action that edits the user's data runs through record(), which keeps
+// a snapshot of the data from before the edit. Undo puts that snapshot back
+// (saving the current data for redo). Selection and ownership mode are UI
+// state and aren't part of the history.
+
+const HISTORY_FIELDS = ['ownedCharacters', 'characterGoals', 'weapons', 'inventory', 'settings']
+
+/**
+ * Undo and redo stacks, most recent step last.
+ * Each step: { label, changes, snapshot, mergeKey, at }
+ *   label    — what kind of edit it was ("Hu Tao", "Inventory", …)
+ *   changes  — human-readable lines from describeChanges()
+ *   snapshot — JSON of HISTORY_FIELDS to restore when the step is undone
+ *              (for redo steps: to restore when it's redone)
+ */
+const history = reactive({ undo: [], redo: [] })
+
+// Set while an action is being recorded, so nested actions aren't recorded twice
+let recording = false
+
+function takeSnapshot() {
+  const data = {}
+  for (const field of HISTORY_FIELDS) data[field] = state[field]
+  return JSON.stringify(data)
+}
+
+function restoreSnapshot(snapshot) {
+  const data = JSON.parse(snapshot)
+  for (const field of HISTORY_FIELDS) state[field] = data[field]
+  // The detail panel needs a goal for whoever is selected
+  if (state.selectedCharacter) ensureGoal(state.selectedCharacter)
+}
+
+/** A goal's fields as { label: shown value }, for describing what an edit changed */
+function goalFields(goal) {
+  const fields = {
+    'Level':         LEVEL_LABELS[goal.currentLevel],
+    'Target level':  LEVEL_LABELS[goal.targetLevel],
+    'Weapon':        goal.weapon ?? 'none',
+    'Weapon copy':   goal.weaponId ? 'from armory' : 'to obtain',
+    'Weapon level':  LEVEL_LABELS[goal.weaponCurrentLevel],
+    'Weapon target': LEVEL_LABELS[goal.weaponTargetLevel],
+  }
+  const addTalentSet = (prefix, set) => {
+    fields[`${prefix}Constellation`] = `C${set.constellation ?? 0}`
+    for (const key of VALID_TALENT_KEYS) {
+      fields[`${prefix}${TALENT_LABELS[key]}`]        = set.talents[key].currentLevel
+      fields[`${prefix}${TALENT_LABELS[key]} target`] = set.talents[key].targetLevel
+    }
+  }
+  if (goal.artifactSetPlan) {
+    const sets = goal.artifactSetPlan.sets.filter(Boolean)
+    fields['Set plan'] = sets.length > 0 ? `${SET_PLAN_TYPES[goal.artifactSetPlan.type].label} ${sets.join(' + ')}` : 'none'
+  }
+  if (goal.talents) addTalentSet('', goal)
+  for (const [element, entry] of Object.entries(goal.elements ?? {})) addTalentSet(`${element} `, entry)
+  for (const artifact of goal.artifacts) {
+    fields[`${artifact.slot} rarity`]          = `${artifact.rarity ?? 5}★`
+    fields[artifact.slot]                      = `+${artifact.currentLevel}`
+    fields[`${artifact.slot} target`]          = `+${artifact.targetLevel}`
+    fields[`${artifact.slot} set`]             = artifact.set ?? 'none'
+    fields[`${artifact.slot} main stat`]       = artifact.mainStat ?? 'none'
+    fields[`${artifact.slot} substats`]        = (artifact.desiredSubstats ?? []).join(', ') || 'none'
+    fields[`${artifact.slot} substat rolls`]   = artifact.targetSubstatCount ?? 0
+  }
+  return fields
+}
+
+/**
+ * What changed between two snapshots, one line per change, e.g.
+ * "Hu Tao · Target level: 80/90 → 90". Goals appearing for the first time
+ * aren't listed — they're created with defaults when a character is opened.
+ */
+function describeChanges(beforeJson, afterJson) {
+  const before = JSON.parse(beforeJson)
+  const after  = JSON.parse(afterJson)
+  const lines  = []
+
+  for (const name of after.ownedCharacters)  if (!before.ownedCharacters.includes(name)) lines.push(`Roster: + ${name}`)
+  for (const name of before.ownedCharacters) if (!after.ownedCharacters.includes(name))  lines.push(`Roster: − ${name}`)
+  // A priority move shifts everyone in between by one; name the character
+  // that moved furthest (the one that was dragged)
+  const keptBefore = before.ownedCharacters.filter(name => after.ownedCharacters.includes(name))
+  const keptAfter  = after.ownedCharacters.filter(name => before.ownedCharacters.includes(name))
+  let moved = null
+  keptAfter.forEach((name, to) => {
+    const from = keptBefore.indexOf(name)
+    if (from !== to && (!moved || Math.abs(to - from) > Math.abs(moved.to - moved.from))) moved = { name, from, to }
+  })
+  if (moved) lines.push(`Priority: ${moved.name} #${moved.from + 1} → #${moved.to + 1}`)
+
+  for (const [name, goal] of Object.entries(after.characterGoals)) {
+    const old = before.characterGoals[name]
+    if (!old) continue
+    for (const element of Object.keys(goal.elements ?? {})) {
+      if (!old.elements?.[element]) lines.push(`${name}: tracking ${element}`)
+    }
+    for (const element of Object.keys(old.elements ?? {})) {
+      if (!goal.elements?.[element]) lines.push(`${name}: stopped tracking ${element}`)
+    }
+    const from = goalFields(old)
+    const to   = goalFields(goal)
+    for (const label of Object.keys(to)) {
+      if (label in from && from[label] !== to[label]) lines.push(`${name} · ${label}: ${from[label]} → ${to[label]}`)
+    }
+  }
+  for (const name of Object.keys(before.characterGoals)) {
+    if (!after.characterGoals[name]) lines.push(`${name}: goal removed`)
+  }
+
+  const weaponLabel = w => `${w.name} (Lv. ${LEVEL_LABELS[w.level]}, R${w.refinement})`
+  for (const weapon of after.weapons) {
+    const old = before.weapons.find(w => w.id === weapon.id)
+    if (!old) lines.push(`Armory: + ${weaponLabel(weapon)}`)
+    else if (weaponLabel(old) !== weaponLabel(weapon)) lines.push(`Armory: ${weaponLabel(old)} → ${weaponLabel(weapon)}`)
+  }
+  for (const weapon of before.weapons) {
+    if (!after.weapons.some(w => w.id === weapon.id)) lines.push(`Armory: − ${weaponLabel(weapon)}`)
+  }
+
+  for (const name of new Set([...Object.keys(before.inventory), ...Object.keys(after.inventory)])) {
+    const from = before.inventory[name] ?? 0
+    const to   = after.inventory[name] ?? 0
+    if (from !== to) lines.push(`${name}: ${from.toLocaleString()} → ${to.toLocaleString()}`)
+  }
+
+  if (before.settings.dailyResin !== after.settings.dailyResin) {
+    lines.push(`Daily resin: ${before.settings.dailyResin} → ${after.settings.dailyResin}`)
+  }
+
+  const fodderLabel = f => `${f.rarity}★ +${f.level}`
+  for (const fodder of after.settings.levelledFodder) {
+    const old = before.settings.levelledFodder.find(f => fodderLabel(f) === fodderLabel(fodder))
+    if ((old?.count ?? 0) !== fodder.count) lines.push(`Levelled fodder ${fodderLabel(fodder)}: ${old?.count ?? 0} → ${fodder.count}`)
+  }
+  for (const fodder of before.settings.levelledFodder) {
+    if (!after.settings.levelledFodder.some(f => fodderLabel(f) === fodderLabel(fodder))) {
+      lines.push(`Levelled fodder ${fodderLabel(fodder)}: ${fodder.count} → 0`)
+    }
+  }
+
+  for (const template of after.settings.goalTemplates) {
+    const old = before.settings.goalTemplates.find(t => t.id === template.id)
+    if (!old) lines.push(`Template: + ${template.name}`)
+    else if (old.name !== template.name) lines.push(`Template: ${old.name} → ${template.name}`)
+    else if (describeTemplate(old) !== describeTemplate(template)) {
+      lines.push(`Template ${template.name}: ${describeTemplate(old)} → ${describeTemplate(template)}`)
+    }
+  }
+  for (const template of before.settings.goalTemplates) {
+    if (!after.settings.goalTemplates.some(t => t.id === template.id)) lines.push(`Template: − ${template.name}`)
+  }
+  if (before.settings.defaultTemplateId !== after.settings.defaultTemplateId) {
+    const templateName = (settings, id) => settings.goalTemplates.find(t => t.id === id)?.name ?? 'Standard'
+    lines.push(`New goals: ${templateName(before.settings, before.settings.defaultTemplateId)} → ` +
+      templateName(after.settings, after.settings.defaultTemplateId))
+  }
+  return lines
+}
+
+/**
+ * describeChanges(), or a placeholder line when the data is in a shape it
+ * can't read — the step must still be kept so it can be undone.
+ */
+function describeChangesSafely(beforeJson, afterJson) {
+  try {
+    return describeChanges(beforeJson, afterJson)
+  } catch (e) {
+    console.warn('Could not describe changes:', e)
+    return ['Changes could not be listed']
+  }
+}
+
+/**
+ * Runs `mutate` as one undoable step and returns its result. Steps that
+ * change nothing aren't kept. With a mergeKey, a step following another
+ * with the same key within HISTORY_MERGE_MS is folded into it. If `mutate`
+ * throws part-way, whatever it already changed is still kept as a step.
+ */
+function record(label, mutate, mergeKey = null) {
+  if (recording) return mutate()
+
+  const snapshot = takeSnapshot()
+  recording = true
+  try {
+    return mutate()
+  } finally {
+    recording = false
+    keepStep(label, snapshot, mergeKey)
+  }
+}
+
+/** Pushes (or merges) the history step for an edit made since `snapshot`. */
+function keepStep(label, snapshot, mergeKey) {
+  const current = takeSnapshot()
+  if (current === snapshot) return
+
+  const now  = Date.now()
+  const last = history.undo[history.undo.length - 1]
+  if (mergeKey && last?.mergeKey === mergeKey && now - last.at < HISTORY_MERGE_MS) {
+    last.changes = describeChangesSafely(last.snapshot, current)
+    last.at = now
+  } else {
+    history.undo.push({ label, changes: describeChangesSafely(snapshot, current), snapshot, mergeKey, at: now })
+    if (history.undo.length > HISTORY_LIMIT) history.undo.shift()
+  }
+  history.redo = []
+}
+
+/** Undo the last `steps` edits. */
+function undo(steps = 1) {
+  for (let i = 0; i < steps && history.undo.length > 0; i++) {
+    const step = history.undo.pop()
+    history.redo.push({ ...step, snapshot: takeSnapshot(), mergeKey: null })
+    restoreSnapshot(step.snapshot)
   }
 }
 
+/** Redo the last `steps` undone edits. */
+function redo(steps = 1) {
+  for (let i = 0; i < steps && history.redo.length > 0; i++) {
+    const step = history.redo.pop()
+    history.undo.push({ ...step, snapshot: takeSnapshot() })
+    restoreSnapshot(step.snapshot)
+  }
+}
+
+function clearHistory() {
+  history.undo = []
+  history.redo = []
+}
+
 // ──────────────────────────────────────────────────────────
 // Persistence
 // ──────────────────────────────────────────────────────────
 
+/**
+ * Set after loadFromStorage() upgraded an older save: { fromVersion, toVersion }.
+ * The pre-migration blob is in the profile's backup slot until its next migration.
+ */
+const migrationNotice = ref(null)
+
+/**
+ * Set when the active profile's save couldn't be read (damaged, or written by
+ * a newer version of the app): { errors }. The app shows an empty state, but
+ * nothing is saved for the profile, so the save is still there for a version
+ * that can read it — until the user discards it (see discardUnreadableSave()).
+ */
+const unreadableSave = ref(null)
+
+function profileStorageKey(id) {
+  return `${STORAGE_KEY}:${id}`
+}
+
+function backupStorageKey(id) {
+  return `${BACKUP_STORAGE_KEY}:${id}`
+}
+
+/**
+ * Reads the profile list. The first time profiles are used, the existing
+ * single save (under STORAGE_KEY, or the older LEGACY_STORAGE_KEY) becomes
+ * the first profile.
+ */
+function loadProfileIndex() {
+  const saved = JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY) ?? 'null')
+  if (saved && Array.isArray(saved.profiles) && saved.profiles.length > 0) {
+    profileIndex.profiles = saved.profiles
+    profileIndex.activeId = saved.profiles.some(p => p.id === saved.activeId) ? saved.activeId : saved.profiles[0].id
+    return
+  }
+
+  const raw = localStorage.getItem(STORAGE_KEY) ?? localStorage.getItem(LEGACY_STORAGE_KEY)
+  if (raw) localStorage.setItem(profileStorageKey(profileIndex.activeId), raw)
+  localStorage.removeItem(STORAGE_KEY)
+  localStorage.removeItem(LEGACY_STORAGE_KEY)
+  saveProfileIndex()
+}
+
+function saveProfileIndex() {
+  localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profileIndex))
+}
+
+/**
+ * Replaces `state` with a profile's save (or a fresh state if it has none).
+ * Older saves are upgraded with migrateSave() first; the blob as it was is
+ * kept in the profile's backup slot so a bad migration can be rolled back.
+ * A save that can't be read is left untouched (see unreadableSave).
+ */
+function loadProfile(id) {
+  Object.assign(state, createDefaultState())
+  migrationNotice.value = null
+  unreadableSave.value = null
+  clearHistory()
+
+  const raw = localStorage.getItem(profileStorageKey(id))
+  if (!raw) return
+
+  let saved
+  try {
+    saved = JSON.parse(raw)
+  } catch {
+    saved = null
+  }
+  const { errors, fromVersion } = saved === null ? { errors: ['Saved data is not valid JSON'] } : migrateSave(saved)
+  if (errors.length > 0) {
+    console.warn('Saved data not loaded:', errors.join('; '))
+    unreadableSave.value = { errors }
+    return
+  }
+  if (fromVersion !== SCHEMA_VERSION) {
+    localStorage.setItem(backupStorageKey(id), JSON.stringify({
+      profileId:     id,
+      schemaVersion: fromVersion,
+      backedUpAt:    new Date().toISOString(),
+      raw,
+    }))
+    migrationNotice.value = { fromVersion, toVersion: SCHEMA_VERSION }
+  }
+
+  // Merge saved fields into state (Object.assign so reactivity is preserved)
+  if (Array.isArray(saved.ownedCharacters)) state.ownedCharacters = saved.ownedCharacters
+  if (saved.characterGoals)                 state.characterGoals  = saved.characterGoals
+  if (Array.isArray(saved.weapons))         state.weapons         = saved.weapons
+  if (saved.inventory)                      state.inventory       = saved.inventory
+  if (saved.settings)                       Object.assign(state.settings, saved.settings)
+  if (saved.selectedCharacter)              state.selectedCharacter = saved.selectedCharacter
+  if (saved.rosterView)                     state.rosterView = normaliseRosterView(saved.rosterView)
+}
+
 /**
  * Load saved state from localStorage on app startup.
  * Call this once from App.vue's onMounted().
  */
 function loadFromStorage() {
   try {
-    const raw = localStorage.getItem(STORAGE_KEY)
-    if (raw) {
-      const saved = JSON.parse(raw)
-      // Merge saved fields into state (Object.assign so reactivity is preserved)
-      if (Array.isArray(saved.ownedCharacters)) state.ownedCharacters = saved.ownedCharacters
-      if (saved.characterGoals)                 state.characterGoals  = saved.characterGoals
-      if (saved.selectedCharacter)              state.selectedCharacter = saved.selectedCharacter
-    }
+    loadProfileIndex()
+    loadProfile(profileIndex.activeId)
   } catch (e) {
     console.warn('Failed to load from localStorage:', e)
   }
 }
 
+function saveToStorage() {
+  // Saving now would overwrite the save that couldn't be read
+  if (unreadableSave.value) return
+  localStorage.setItem(profileStorageKey(profileIndex.activeId), JSON.stringify(toSaveData()))
+}
+
+/**
+ * Downloads the active profile's pre-migration backup, so an upgraded save
+ * can be rolled back by importing it. A backup that doesn't name the profile
+ * as its owner isn't offered.
+ */
+function downloadMigrationBackup() {
+  const backup = JSON.parse(localStorage.getItem(backupStorageKey(profileIndex.activeId)) ?? 'null')
+  if (backup?.profileId === profileIndex.activeId) downloadJson(JSON.parse(backup.raw), `genshin-training-guide-backup-v${backup.schemaVersion}.json`)
+}
+
+function dismissMigrationNotice() {
+  migrationNotice.value = null
+}
+
+/** Downloads the active profile's unreadable save as it is stored. */
+function downloadUnreadableSave() {
+  const raw = localStorage.getItem(profileStorageKey(profileIndex.activeId))
+  if (raw) downloadText(raw, `genshin-training-guide-${activeProfileSlug()}-unreadable.json`)
+}
+
+/** Gives up on the unreadable save: the profile starts saving again, over it. */
+function discardUnreadableSave() {
+  unreadableSave.value = null
+  saveToStorage()
+}
+
 // Load saved state immediately at module init (before any watchers in
 // components can mutate state and trigger the auto-save watcher below).
 // localStorage is synchronous so this is safe to do at import time.
@@ -119,21 +718,31 @@ loadFromStorage()
 
 // Auto-save whenever state changes.
 // { deep: true } watches nested objects (goals, artifacts, talents, etc.)
-watch(state, () => {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(state))
-}, { deep: true })
+watch(state, saveToStorage, { deep: true })
+watch(profileIndex, saveProfileIndex, { deep: true })
 
 // ──────────────────────────────────────────────────────────
 // Actions
 // ──────────────────────────────────────────────────────────
 
+/**
+ * A new goal for charName: the defaults, with the targets of the default
+ * goal template when one is set.
+ */
+function createStartingGoal(charName) {
+  const goal = createDefaultGoal(charName)
+  const template = getGoalTemplate(state.settings.defaultTemplateId)
+  if (template) applyTemplate(goal, template, 'overwrite')
+  return goal
+}
+
 /**
  * Create a default goal for charName if one doesn't exist yet.
  * Safe to call multiple times — does nothing if goal already exists.
  */
 function ensureGoal(charName) {
   if (!state.characterGoals[charName]) {
-    state.characterGoals[charName] = createDefaultGoal()
+    state.characterGoals[charName] = createStartingGoal(charName)
   }
 }
 
@@ -147,17 +756,40 @@ function selectCharacter(name) {
   state.selectedCharacter = name
 }
 
+/**
+ * Clear the selection so the detail panel goes back to the material summary.
+ */
+function deselectCharacter() {
+  state.selectedCharacter = null
+}
+
 /**
  * Toggle whether a character is in the user's owned roster.
  * In ownership mode: called when clicking a CharacterCard.
  */
 function toggleOwnership(name) {
-  const idx = state.ownedCharacters.indexOf(name)
-  if (idx === -1) {
-    state.ownedCharacters.push(name)
-  } else {
-    state.ownedCharacters.splice(idx, 1)
-  }
+  record('Roster', () => {
+    const idx = state.ownedCharacters.indexOf(name)
+    if (idx === -1) {
+      state.ownedCharacters.push(name)
+    } else {
+      state.ownedCharacters.splice(idx, 1)
+    }
+  })
+}
+
+/**
+ * Move an owned character to position `index` (0 = highest priority) in
+ * the roster, shifting the others down or up.
+ */
+function moveCharacter(name, index) {
+  const from = state.ownedCharacters.indexOf(name)
+  const to = Math.max(0, Math.min(index, state.ownedCharacters.length - 1))
+  if (from === -1 || from === to) return
+  record('Priorities', () => {
+    state.ownedCharacters.splice(from, 1)
+    state.ownedCharacters.splice(to, 0, name)
+  })
 }
 
 /**
@@ -173,62 +805,649 @@ function updateGoal(charName, patchOrFn) {
   ensureGoal(charName)
   const goal = state.characterGoals[charName]
 
-  if (typeof patchOrFn === 'function') {
-    patchOrFn(goal)
-  } else {
-    Object.assign(goal, patchOrFn)
-  }
+  record(charName, () => {
+    if (typeof patchOrFn === 'function') {
+      patchOrFn(goal)
+    } else {
+      Object.assign(goal, patchOrFn)
+    }
+  }, `goal:${charName}`)
 }
 
-// ──────────────────────────────────────────────────────────
-// Import validation
-// ──────────────────────────────────────────────────────────
-
-const VALID_CHAR_NAMES = new Set(getAllCharacterNames())
-const VALID_SLOTS = ['Flower', 'Plume', 'Sands', 'Goblet', 'Circlet']
-const VALID_TALENT_KEYS = ['normalAttack', 'skill', 'burst']
+// ─── Completing steps ────────────────────────────────────────
 
 /**
- * Validates parsed import data and returns an array of error strings.
- * Empty array = valid data.
+ * Marks part of charName's goal as done in-game: moves the current level up
+ * to `to` (the target by default) and takes what that step costs out of the
+ * inventory, crafting up lower tiers the way the bench would. Anything the
+ * inventory doesn't hold is assumed farmed and spent straight away.
+ *
+ *   section — 'level' | 'weapon' | 'artifact' | 'talent', or 'all' for
+ *             every section up to its target
+ *   slot    — the artifact slot, for 'artifact'
+ *   talent  — 'normalAttack' | 'skill' | 'burst', for 'talent'
+ *   element — which of the Traveler's talent sets, for 'talent'
+ *   to      — where to stop short of the target, e.g. nextLevelStep() for
+ *             one ascension phase (ignored for 'all')
+ *
+ * Returns planMaterialUse()'s { used, missing } for the step.
  */
-function validateImportData(data) {
-  const errors = []
+function completeStep(charName, section, { slot, talent, element = null, to } = {}) {
+  const goal = state.characterGoals[charName]
+  if (!goal) return { used: {}, missing: [] }
 
-  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
-    return ['Import data must be a JSON object']
+  // Where this part stops, or null if there's nothing to do
+  const stepEnd = (current, target) => {
+    const stop = section === 'all' || to === undefined ? target : to
+    return levelRank(stop) > levelRank(current) && levelRank(stop) <= levelRank(target) ? stop : null
   }
 
-  // ownedCharacters
-  if (data.ownedCharacters !== undefined) {
-    if (!Array.isArray(data.ownedCharacters)) {
-      errors.push('ownedCharacters must be an array')
-    } else {
-      for (const name of data.ownedCharacters) {
-        if (typeof name !== 'string') {
-          errors.push(`ownedCharacters contains non-string value: ${JSON.stringify(name)}`)
-        } else if (!VALID_CHAR_NAMES.has(name)) {
-          errors.push(`Unknown character in ownedCharacters: "${name}"`)
-        }
-      }
+  // [{ costs, apply }] for each part of the goal the step covers
+  const parts = []
+
+  if (section === 'level' || section === 'all') {
+    const end = stepEnd(goal.currentLevel, goal.targetLevel)
+    if (end !== null) {
+      parts.push({
+        costs: getCharacterStepCosts(charName, goal.currentLevel, end),
+        apply: () => { goal.currentLevel = end },
+      })
     }
   }
 
-  // selectedCharacter
-  if (data.selectedCharacter !== undefined && data.selectedCharacter !== null) {
-    if (typeof data.selectedCharacter !== 'string' || !VALID_CHAR_NAMES.has(data.selectedCharacter)) {
-      errors.push(`Invalid selectedCharacter: "${data.selectedCharacter}"`)
+  if ((section === 'weapon' || section === 'all') && goal.weapon) {
+    const end = stepEnd(goal.weaponCurrentLevel, goal.weaponTargetLevel)
+    if (end !== null) {
+      parts.push({
+        costs: getWeaponStepCosts(goal.weapon, goal.weaponCurrentLevel, end),
+        apply: () => {
+          // An armory copy's level lives on the copy (see updateWeapon())
+          const weapon = getWeapon(goal.weaponId)
+          if (weapon) {
+            weapon.level = end
+            syncWeaponGoals(weapon)
+          } else {
+            goal.weaponCurrentLevel = end
+          }
+        },
+      })
     }
   }
 
-  // characterGoals
-  if (data.characterGoals !== undefined) {
-    if (typeof data.characterGoals !== 'object' || data.characterGoals === null || Array.isArray(data.characterGoals)) {
-      errors.push('characterGoals must be an object')
-    } else {
-      for (const [charName, goal] of Object.entries(data.characterGoals)) {
-        if (!VALID_CHAR_NAMES.has(charName)) {
-          errors.push(`Unknown character in goals: "${charName}"`)
+  for (const artifact of goal.artifacts) {
+    if (section !== 'all' && !(section === 'artifact' && artifact.slot === slot)) continue
+    const end = stepEnd(artifact.currentLevel, artifact.targetLevel)
+    if (end === null) continue
+    parts.push({
+      costs: getArtifactStepCosts(artifact.currentLevel, end, artifact.rarity),
+      apply: () => { artifact.currentLevel = end },
+    })
+  }
+
+  for (const set of getTalentSets(charName, goal)) {
+    if (section !== 'all' && !(section === 'talent' && set.element === element)) continue
+    for (const key of VALID_TALENT_KEYS) {
+      if (section !== 'all' && key !== talent) continue
+      const t = set.talents[key]
+      const end = stepEnd(t.currentLevel, t.targetLevel)
+      if (end === null) continue
+      parts.push({
+        costs: getTalentStepCosts(set.talentOwner, t.currentLevel, end),
+        apply: () => { t.currentLevel = end },
+      })
+    }
+  }
+
+  if (parts.length === 0) return { used: {}, missing: [] }
+
+  const costs = []
+  for (const part of parts) mergeCosts(costs, part.costs)
+  const { used, missing } = planMaterialUse(costs, state.inventory)
+
+  record(charName, () => {
+    for (const [name, count] of Object.entries(used)) {
+      const left = (state.inventory[name] ?? 0) - count
+      if (left > 0) state.inventory[name] = left
+      else delete state.inventory[name]
+    }
+    for (const part of parts) part.apply()
+  })
+  return { used, missing }
+}
+
+// ─── Profiles ────────────────────────────────────────────────
+
+/** Switch to another profile. The current one is saved first. */
+function switchProfile(id) {
+  if (id === profileIndex.activeId || !profileIndex.profiles.some(p => p.id === id)) return
+  saveToStorage()
+  profileIndex.activeId = id
+  loadProfile(id)
+}
+
+/** A name not used by any profile yet: "Alt", "Alt (2)", … */
+function uniqueProfileName(name) {
+  const taken = new Set(profileIndex.profiles.map(p => p.name))
+  let candidate = name
+  for (let n = 2; taken.has(candidate); n++) candidate = `${name} (${n})`
+  return candidate
+}
+
+function nextProfileId() {
+  return profileIndex.profiles.reduce((max, p) => Math.max(max, p.id), 0) + 1
+}
+
+/** Create an empty profile and switch to it. Returns its id. */
+function createProfile(name) {
+  const id = nextProfileId()
+  profileIndex.profiles.push({ id, name: uniqueProfileName(name.trim() || 'Profile') })
+  switchProfile(id)
+  return id
+}
+
+function renameProfile(id, name) {
+  const profile = profileIndex.profiles.find(p => p.id === id)
+  if (!profile || !name.trim() || name.trim() === profile.name) return
+  profile.name = uniqueProfileName(name.trim())
+}
+
+/** Copy a profile's data into a new profile and switch to it. Returns the new id. */
+function duplicateProfile(id) {
+  const source = profileIndex.profiles.find(p => p.id === id)
+  if (!source) return null
+  if (id === profileIndex.activeId) saveToStorage()
+
+  const copyId = nextProfileId()
+  const raw = localStorage.getItem(profileStorageKey(id))
+  if (raw) localStorage.setItem(profileStorageKey(copyId), raw)
+  profileIndex.profiles.push({ id: copyId, name: uniqueProfileName(`${source.name} (copy)`) })
+  switchProfile(copyId)
+  return copyId
+}
+
+/** Delete a profile, its data and its backup. The last remaining profile can't be deleted. */
+function deleteProfile(id) {
+  if (profileIndex.profiles.length <= 1) return
+  const idx = profileIndex.profiles.findIndex(p => p.id === id)
+  if (idx === -1) return
+
+  if (id === profileIndex.activeId) {
+    const fallback = profileIndex.profiles[idx === 0 ? 1 : idx - 1]
+    switchProfile(fallback.id)
+  }
+  profileIndex.profiles.splice(idx, 1)
+  localStorage.removeItem(profileStorageKey(id))
+  localStorage.removeItem(backupStorageKey(id))
+}
+
+// ─── Weapon armory ───────────────────────────────────────────
+
+/** Finds an armory weapon by id, or null. */
+function getWeapon(id) {
+  return state.weapons.find(w => w.id === id) ?? null
+}
+
+/** Names of the characters whose goal uses the armory weapon with this id. */
+function getWeaponHolders(id) {
+  return Object.keys(state.characterGoals).filter(name => state.characterGoals[name].weaponId === id)
+}
+
+/**
+ * Copies an armory weapon's name and level into every goal using it, so the
+ * tabs and cost calculations can keep reading goal.weapon / weaponCurrentLevel.
+ * A target below the new current level is raised to match.
+ */
+function syncWeaponGoals(weapon) {
+  for (const name of getWeaponHolders(weapon.id)) {
+    const goal = state.characterGoals[name]
+    goal.weapon = weapon.name
+    goal.weaponCurrentLevel = weapon.level
+    if (levelRank(goal.weaponTargetLevel) < levelRank(weapon.level)) goal.weaponTargetLevel = weapon.level
+  }
+}
+
+/**
+ * Add a weapon copy to the armory. Returns its id.
+ * level defaults to 1 and refinement to R1.
+ */
+function addWeapon(name, { level = 1, refinement = 1 } = {}) {
+  return record('Armory', () => {
+    const id = state.weapons.reduce((max, w) => Math.max(max, w.id), 0) + 1
+    state.weapons.push({ id, name, level, refinement })
+    return id
+  })
+}
+
+/**
+ * Partially update an armory weapon (level, refinement, …).
+ * Goals using it pick up the new name and level.
+ */
+function updateWeapon(id, patch) {
+  const weapon = getWeapon(id)
+  if (!weapon) return
+  record('Armory', () => {
+    Object.assign(weapon, patch)
+    syncWeaponGoals(weapon)
+  })
+}
+
+/**
+ * Remove a weapon from the armory. Goals that used it keep planning the
+ * same weapon, now as a new copy to obtain.
+ */
+function removeWeapon(id) {
+  record('Armory', () => {
+    for (const name of getWeaponHolders(id)) {
+      state.characterGoals[name].weaponId = null
+    }
+    state.weapons = state.weapons.filter(w => w.id !== id)
+  })
+}
+
+/**
+ * Assign an armory weapon to charName's goal, or pass null to go back to
+ * planning a new copy of the same weapon. A weapon can only be held by one
+ * character: it's taken away from anyone else who had it, and their names
+ * are returned so the caller can tell the user.
+ */
+function assignWeapon(charName, id) {
+  ensureGoal(charName)
+  const goal = state.characterGoals[charName]
+
+  if (id === null) {
+    record(charName, () => { goal.weaponId = null })
+    return []
+  }
+
+  const weapon = getWeapon(id)
+  if (!weapon) return []
+
+  return record(charName, () => {
+    const previous = getWeaponHolders(id).filter(name => name !== charName)
+    for (const name of previous) state.characterGoals[name].weaponId = null
+
+    goal.weaponId = id
+    syncWeaponGoals(weapon)
+    return previous
+  })
+}
+
+// ─── Traveler elements ───────────────────────────────────────
+
+/** Start tracking talents for another of the Traveler's elements. */
+function unlockTravelerElement(element) {
+  ensureGoal(TRAVELER)
+  const goal = state.characterGoals[TRAVELER]
+  record(TRAVELER, () => {
+    if (!goal.elements) goal.elements = {}
+    if (!goal.elements[element]) goal.elements[element] = createElementGoal()
+  })
+}
+
+/** Stop tracking an element's talents (its goal is discarded). */
+function removeTravelerElement(element) {
+  const goal = state.characterGoals[TRAVELER]
+  if (goal?.elements) record(TRAVELER, () => { delete goal.elements[element] })
+}
+
+// ─── Goal templates ─────────────────────────────────────────
+
+function getGoalTemplate(id) {
+  return state.settings.goalTemplates.find(t => t.id === id) ?? null
+}
+
+/**
+ * Add a goal template and return its id. With charName, it starts from that
+ * character's current targets; otherwise from the standard ones.
+ */
+function addGoalTemplate(name, charName = null) {
+  const goal = charName ? state.characterGoals[charName] : null
+  return record('Templates', () => {
+    const id = state.settings.goalTemplates.reduce((max, t) => Math.max(max, t.id), 0) + 1
+    state.settings.goalTemplates.push(createTemplate(id, name, goal ? targetsFromGoal(goal) : undefined))
+    return id
+  })
+}
+
+/**
+ * Partially update a template (name, targetLevel, talents, …). Goals made
+ * from it earlier keep their targets — templates are copied, not linked.
+ */
+function updateGoalTemplate(id, patch) {
+  const template = getGoalTemplate(id)
+  if (!template) return
+  record('Templates', () => {
+    Object.assign(template, patch)
+  }, `template:${id}`)
+}
+
+/** Remove a template; new goals go back to the standard targets if it was the default. */
+function removeGoalTemplate(id) {
+  record('Templates', () => {
+    state.settings.goalTemplates = state.settings.goalTemplates.filter(t => t.id !== id)
+    if (state.settings.defaultTemplateId === id) state.settings.defaultTemplateId = null
+  })
+}
+
+/** Pick the template new goals start from (null for the standard targets). */
+function setDefaultTemplate(id) {
+  record('Templates', () => {
+    state.settings.defaultTemplateId = getGoalTemplate(id) ? id : null
+  })
+}
+
+/**
+ * Apply a template to several characters' goals as one undoable step,
+ * creating goals that don't exist yet. mode: a TEMPLATE_MODES key, see
+ * applyTemplate(). Returns how many goals were changed.
+ */
+function applyGoalTemplate(id, charNames, mode = 'raise') {
+  const template = getGoalTemplate(id)
+  if (!template || !Object.keys(TEMPLATE_MODES).includes(mode)) return 0
+  return record(`Template: ${template.name}`, () => {
+    let changed = 0
+    for (const name of charNames) {
+      ensureGoal(name)
+      const goal = state.characterGoals[name]
+      const before = JSON.stringify(goal)
+      applyTemplate(goal, template, mode)
+      if (JSON.stringify(goal) !== before) changed++
+    }
+    return changed
+  })
+}
+
+/** Set the daily resin budget used by the farming planner. */
+function setDailyResin(value) {
+  record('Settings', () => {
+    state.settings.dailyResin = Math.max(0, Math.floor(Number(value) || 0))
+  }, 'dailyResin')
+}
+
+/**
+ * Set how many levelled artifacts of a rarity and level are set aside as
+ * fodder. Counts are clamped like inventory counts; 0 removes the entry.
+ */
+function setLevelledFodder(rarity, level, count) {
+  const value = Math.max(0, Math.floor(Number(count) || 0))
+  record('Inventory', () => {
+    const fodder = state.settings.levelledFodder
+    const idx = fodder.findIndex(f => f.rarity === rarity && f.level === level)
+    if (value === 0) {
+      if (idx !== -1) fodder.splice(idx, 1)
+    } else if (idx !== -1) {
+      fodder[idx].count = value
+    } else {
+      fodder.push({ rarity, level, count: value })
+      fodder.sort((a, b) => b.rarity - a.rarity || b.level - a.level)
+    }
+  }, `levelledFodder:${rarity}:${level}`)
+}
+
+/**
+ * Set how many of a material the user owns.
+ * Counts are clamped to whole numbers >= 0; a count of 0 removes the entry
+ * so the saved inventory only lists materials actually held.
+ */
+function setInventoryCount(materialName, count) {
+  const value = Math.max(0, Math.floor(Number(count) || 0))
+  record('Inventory', () => {
+    if (value === 0) {
+      delete state.inventory[materialName]
+    } else {
+      state.inventory[materialName] = value
+    }
+  }, `inventory:${materialName}`)
+}
+
+// ──────────────────────────────────────────────────────────
+// Import validation
+// ──────────────────────────────────────────────────────────
+
+const VALID_CHAR_NAMES = new Set(getAllCharacterNames())
+const VALID_WEAPON_NAMES = new Set(getAllWeaponNames())
+const VALID_ARTIFACT_SETS = new Set(getAllArtifactSetNames())
+const VALID_SLOTS = ['Flower', 'Plume', 'Sands', 'Goblet', 'Circlet']
+const VALID_TALENT_KEYS = ['normalAttack', 'skill', 'burst']
+const VALID_TRAVELER_ELEMENTS = new Set(getTravelerElements())
+
+/** Pushes an error unless constellation is absent or a whole number 0–6. */
+function validateConstellation(label, constellation, errors) {
+  if (constellation !== undefined &&
+      (!Number.isInteger(constellation) || constellation < 0 || constellation > 6)) {
+    errors.push(`${label} has invalid constellation: ${JSON.stringify(constellation)}`)
+  }
+}
+
+/**
+ * Pushes errors for an artifact slot whose rarity isn't 1–5 or whose levels
+ * aren't milestones within that rarity's cap (5★ when rarity is absent).
+ */
+function validateArtifactLevels(label, artifact, errors) {
+  if (artifact.rarity !== undefined && !ARTIFACT_RARITIES.includes(artifact.rarity)) {
+    errors.push(`${label} has invalid rarity: ${JSON.stringify(artifact.rarity)}`)
+    return
+  }
+  const options = artifactLevelOptions(artifact.rarity ?? 5)
+  for (const key of ['currentLevel', 'targetLevel']) {
+    if (artifact[key] !== undefined && !options.includes(artifact[key])) {
+      errors.push(`${label} has invalid ${key} for a ${artifact.rarity ?? 5}★ artifact: ${JSON.stringify(artifact[key])}`)
+    }
+  }
+}
+
+const isTalentLevel = level => Number.isInteger(level) && level >= 1 && level <= 10
+
+/**
+ * Pushes errors unless talents holds every talent as { currentLevel,
+ * targetLevel } with whole-number levels 1–10.
+ */
+function validateTalents(label, talents, errors) {
+  if (talents === undefined) return
+  if (typeof talents !== 'object' || talents === null || Array.isArray(talents)) {
+    errors.push(`${label} talents must be an object`)
+    return
+  }
+  for (const key of VALID_TALENT_KEYS) {
+    const t = talents[key]
+    if (typeof t !== 'object' || t === null || !isTalentLevel(t.currentLevel) || !isTalentLevel(t.targetLevel)) {
+      errors.push(`${label} talent "${key}" must have whole-number levels from 1 to 10`)
+    }
+  }
+}
+
+/**
+ * Pushes errors for an artifact slot whose main stat isn't one the slot can
+ * have, whose desiredSubstats aren't up to 4 different substats, or whose
+ * targetSubstatCount doesn't fit them. Only slots with a choice of main
+ * stat can leave it unpicked (null).
+ */
+function validateArtifactStats(label, artifact, errors) {
+  const mainStats = ARTIFACT_MAIN_STATS[artifact.slot]
+  if (artifact.mainStat !== undefined && !(artifact.mainStat === null && mainStats.length > 1) &&
+      !mainStats.includes(artifact.mainStat)) {
+    errors.push(`${label} has unknown main stat: ${JSON.stringify(artifact.mainStat)}`)
+  }
+
+  const subs = artifact.desiredSubstats === undefined ? [] : artifact.desiredSubstats
+  if (!Array.isArray(subs) || subs.length > 4 || new Set(subs).size !== subs.length ||
+      subs.some(stat => !ARTIFACT_SUBSTATS.includes(stat))) {
+    errors.push(`${label} desiredSubstats must list up to 4 different substats`)
+    return
+  }
+  const count = artifact.targetSubstatCount
+  if (count !== undefined && (!Number.isInteger(count) || count < 0 || count > subs.length)) {
+    errors.push(`${label} targetSubstatCount must be a whole number from 0 to ${subs.length}: ${JSON.stringify(count)}`)
+  }
+}
+
+/** Pushes errors for settings.levelledFodder entries that aren't valid */
+function validateLevelledFodder(settings, errors) {
+  const fodder = settings.levelledFodder
+  if (fodder === undefined) return
+  if (!Array.isArray(fodder)) {
+    errors.push('settings.levelledFodder must be an array')
+    return
+  }
+  const seen = new Set()
+  fodder.forEach((entry, idx) => {
+    const label = `settings.levelledFodder[${idx}]`
+    if (typeof entry !== 'object' || entry === null || !FODDER_RARITIES.includes(entry.rarity)) {
+      errors.push(`${label} has an invalid rarity: ${JSON.stringify(entry?.rarity)}`)
+      return
+    }
+    if (entry.level === 0 || !artifactLevelOptions(entry.rarity).includes(entry.level)) {
+      errors.push(`${label} has an invalid level for a ${entry.rarity}★ artifact: ${JSON.stringify(entry.level)}`)
+    }
+    if (!Number.isInteger(entry.count) || entry.count < 1) {
+      errors.push(`${label} has an invalid count: ${JSON.stringify(entry.count)}`)
+    }
+    const key = `${entry.rarity}:${entry.level}`
+    if (seen.has(key)) errors.push(`${label} repeats ${entry.rarity}★ +${entry.level}`)
+    seen.add(key)
+  })
+}
+
+/**
+ * Pushes errors for settings.goalTemplates entries that aren't valid
+ * templates (see goalTemplates.js) and for a defaultTemplateId that isn't
+ * one of them.
+ */
+function validateGoalTemplates(settings, errors) {
+  const templates = settings.goalTemplates
+  if (templates !== undefined) {
+    if (!Array.isArray(templates)) {
+      errors.push('settings.goalTemplates must be an array')
+      return
+    }
+    const ids = new Set()
+    for (const t of templates) {
+      if (typeof t !== 'object' || t === null || !Number.isInteger(t.id) || ids.has(t.id)) {
+        errors.push(`Goal template has a missing or duplicate id: ${JSON.stringify(t?.id)}`)
+        continue
+      }
+      ids.add(t.id)
+      const label = `Goal template "${t.name}"`
+      if (typeof t.name !== 'string' || t.name.trim() === '') errors.push(`Goal template #${t.id} needs a name`)
+      if (!VALID_CHARACTER_LEVELS.includes(t.targetLevel)) {
+        errors.push(`${label} has invalid targetLevel: ${JSON.stringify(t.targetLevel)}`)
+      }
+      if (!VALID_WEAPON_LEVELS.includes(t.weaponTargetLevel)) {
+        errors.push(`${label} has invalid weaponTargetLevel: ${JSON.stringify(t.weaponTargetLevel)}`)
+      }
+      if (typeof t.talents !== 'object' || t.talents === null ||
+          VALID_TALENT_KEYS.some(key => !Number.isInteger(t.talents[key]) || t.talents[key] < 1 || t.talents[key] > 10)) {
+        errors.push(`${label} talents must be target levels 1–10 for ${VALID_TALENT_KEYS.join(', ')}`)
+      }
+      if (!artifactLevelOptions(5).includes(t.artifactTargetLevel)) {
+        errors.push(`${label} has invalid artifactTargetLevel: ${JSON.stringify(t.artifactTargetLevel)}`)
+      }
+    }
+  }
+  const id = settings.defaultTemplateId
+  if (id !== undefined && id !== null && !(templates ?? []).some(t => t?.id === id)) {
+    errors.push(`settings.defaultTemplateId points at no template: ${JSON.stringify(id)}`)
+  }
+}
+
+/**
+ * Validates parsed import data and returns an array of error strings.
+ * Empty array = valid data.
+ */
+function validateImportData(data) {
+  const errors = []
+
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    return ['Import data must be a JSON object']
+  }
+
+  // ownedCharacters
+  if (data.ownedCharacters !== undefined) {
+    if (!Array.isArray(data.ownedCharacters)) {
+      errors.push('ownedCharacters must be an array')
+    } else {
+      for (const name of data.ownedCharacters) {
+        if (typeof name !== 'string') {
+          errors.push(`ownedCharacters contains non-string value: ${JSON.stringify(name)}`)
+        } else if (!VALID_CHAR_NAMES.has(name)) {
+          errors.push(`Unknown character in ownedCharacters: "${name}"`)
+        }
+      }
+    }
+  }
+
+  // selectedCharacter
+  if (data.selectedCharacter !== undefined && data.selectedCharacter !== null) {
+    if (typeof data.selectedCharacter !== 'string' || !VALID_CHAR_NAMES.has(data.selectedCharacter)) {
+      errors.push(`Invalid selectedCharacter: "${data.selectedCharacter}"`)
+    }
+  }
+
+  // weapons (armory)
+  const weaponIds = new Set()
+  if (data.weapons !== undefined) {
+    if (!Array.isArray(data.weapons)) {
+      errors.push('weapons must be an array')
+    } else {
+      for (const w of data.weapons) {
+        if (typeof w !== 'object' || w === null) {
+          errors.push(`weapons contains non-object value: ${JSON.stringify(w)}`)
+          continue
+        }
+        if (!Number.isInteger(w.id) || weaponIds.has(w.id)) {
+          errors.push(`weapons has a missing or duplicate id: ${JSON.stringify(w.id)}`)
+        }
+        weaponIds.add(w.id)
+        if (!VALID_WEAPON_NAMES.has(w.name)) {
+          errors.push(`Unknown weapon in armory: "${w.name}"`)
+        }
+        if (!VALID_WEAPON_LEVELS.includes(w.level)) {
+          errors.push(`Weapon #${w.id} has invalid level: ${JSON.stringify(w.level)}`)
+        }
+        if (!Number.isInteger(w.refinement) || w.refinement < 1 || w.refinement > 5) {
+          errors.push(`Weapon #${w.id} has invalid refinement: ${JSON.stringify(w.refinement)}`)
+        }
+      }
+    }
+  }
+
+  // inventory
+  if (data.inventory !== undefined) {
+    if (typeof data.inventory !== 'object' || data.inventory === null || Array.isArray(data.inventory)) {
+      errors.push('inventory must be an object')
+    } else {
+      for (const [name, count] of Object.entries(data.inventory)) {
+        if (!Number.isInteger(count) || count < 0) {
+          errors.push(`inventory has invalid count for "${name}": ${JSON.stringify(count)}`)
+        }
+      }
+    }
+  }
+
+  // settings
+  if (data.settings !== undefined) {
+    if (typeof data.settings !== 'object' || data.settings === null || Array.isArray(data.settings)) {
+      errors.push('settings must be an object')
+    } else {
+      if (data.settings.dailyResin !== undefined &&
+          (!Number.isInteger(data.settings.dailyResin) || data.settings.dailyResin < 0)) {
+        errors.push(`settings.dailyResin must be a whole number >= 0: ${JSON.stringify(data.settings.dailyResin)}`)
+      }
+      validateGoalTemplates(data.settings, errors)
+      validateLevelledFodder(data.settings, errors)
+    }
+  }
+
+  // characterGoals
+  if (data.characterGoals !== undefined) {
+    if (typeof data.characterGoals !== 'object' || data.characterGoals === null || Array.isArray(data.characterGoals)) {
+      errors.push('characterGoals must be an object')
+    } else {
+      // Armory weapon id → character already holding it
+      const weaponHolders = new Map()
+      for (const [charName, goal] of Object.entries(data.characterGoals)) {
+        if (!VALID_CHAR_NAMES.has(charName)) {
+          errors.push(`Unknown character in goals: "${charName}"`)
           continue
         }
         if (typeof goal !== 'object' || goal === null) {
@@ -237,11 +1456,33 @@ function validateImportData(data) {
         }
 
         // Check level values
-        if (!VALID_CHARACTER_LEVELS.includes(goal.currentLevel) && goal.currentLevel !== 1) {
-          errors.push(`"${charName}" has invalid currentLevel: ${goal.currentLevel}`)
+        if (!VALID_CHARACTER_LEVELS.includes(goal.currentLevel)) {
+          errors.push(`"${charName}" has invalid currentLevel: ${JSON.stringify(goal.currentLevel)}`)
         }
-        if (!VALID_CHARACTER_LEVELS.includes(goal.targetLevel) && goal.targetLevel !== 1) {
-          errors.push(`"${charName}" has invalid targetLevel: ${goal.targetLevel}`)
+        if (!VALID_CHARACTER_LEVELS.includes(goal.targetLevel)) {
+          errors.push(`"${charName}" has invalid targetLevel: ${JSON.stringify(goal.targetLevel)}`)
+        }
+        for (const key of ['weaponCurrentLevel', 'weaponTargetLevel']) {
+          if (goal[key] !== undefined && !VALID_WEAPON_LEVELS.includes(goal[key])) {
+            errors.push(`"${charName}" has invalid ${key}: ${JSON.stringify(goal[key])}`)
+          }
+        }
+
+        validateConstellation(`"${charName}"`, goal.constellation, errors)
+
+        if (goal.weapon !== undefined && goal.weapon !== null && !VALID_WEAPON_NAMES.has(goal.weapon)) {
+          errors.push(`"${charName}" has unknown weapon: ${JSON.stringify(goal.weapon)}`)
+        }
+
+        // Armory weapon: must exist, and only one character may hold it
+        if (goal.weaponId !== undefined && goal.weaponId !== null) {
+          if (!weaponIds.has(goal.weaponId)) {
+            errors.push(`"${charName}" uses unknown weapon #${goal.weaponId}`)
+          } else if (weaponHolders.has(goal.weaponId)) {
+            errors.push(`Weapon #${goal.weaponId} is assigned to both "${weaponHolders.get(goal.weaponId)}" and "${charName}"`)
+          } else {
+            weaponHolders.set(goal.weaponId, charName)
+          }
         }
 
         // Artifacts
@@ -253,20 +1494,49 @@ function validateImportData(data) {
               const a = goal.artifacts[i]
               if (!a || a.slot !== VALID_SLOTS[i]) {
                 errors.push(`"${charName}" artifact[${i}] has wrong slot (expected "${VALID_SLOTS[i]}")`)
+              } else {
+                if (a.set !== undefined && a.set !== null && !VALID_ARTIFACT_SETS.has(a.set)) {
+                  errors.push(`"${charName}" ${a.slot} has unknown artifact set: "${a.set}"`)
+                }
+                validateArtifactLevels(`"${charName}" ${a.slot}`, a, errors)
+                validateArtifactStats(`"${charName}" ${a.slot}`, a, errors)
+              }
+            }
+          }
+        }
+
+        // Artifact set plan
+        if (goal.artifactSetPlan !== undefined) {
+          const plan = goal.artifactSetPlan
+          if (typeof plan !== 'object' || plan === null || !Object.keys(SET_PLAN_TYPES).includes(plan.type) ||
+              !Array.isArray(plan.sets) || plan.sets.length > 2) {
+            errors.push(`"${charName}" artifactSetPlan must be { type: ${Object.keys(SET_PLAN_TYPES).join(' | ')}, sets: [up to 2 set names] }`)
+          } else {
+            for (const set of plan.sets) {
+              if (set !== null && !VALID_ARTIFACT_SETS.has(set)) {
+                errors.push(`"${charName}" set plan has unknown artifact set: "${set}"`)
               }
             }
           }
         }
 
         // Talents
-        if (goal.talents !== undefined) {
-          if (typeof goal.talents !== 'object' || goal.talents === null) {
-            errors.push(`"${charName}" talents must be an object`)
+        validateTalents(`"${charName}"`, goal.talents, errors)
+
+        // Traveler: one constellation + talent set per unlocked element
+        if (charName === TRAVELER && goal.elements !== undefined) {
+          if (typeof goal.elements !== 'object' || goal.elements === null || Array.isArray(goal.elements)) {
+            errors.push(`"${charName}" elements must be an object`)
           } else {
-            for (const key of VALID_TALENT_KEYS) {
-              const t = goal.talents[key]
-              if (t && (t.currentLevel < 1 || t.currentLevel > 10 || t.targetLevel < 1 || t.targetLevel > 10)) {
-                errors.push(`"${charName}" talent "${key}" has out-of-range levels`)
+            for (const [element, entry] of Object.entries(goal.elements)) {
+              if (!VALID_TRAVELER_ELEMENTS.has(element)) {
+                errors.push(`"${charName}" has unknown element: "${element}"`)
+              } else if (typeof entry !== 'object' || entry === null) {
+                errors.push(`"${charName}" element "${element}" is not an object`)
+              } else {
+                validateConstellation(`"${charName}" (${element})`, entry.constellation, errors)
+                // An element always has its talents (createElementGoal())
+                validateTalents(`"${charName}" (${element})`, entry.talents ?? null, errors)
               }
             }
           }
@@ -282,37 +1552,455 @@ function validateImportData(data) {
 // Export / Import
 // ──────────────────────────────────────────────────────────
 
-function exportData() {
-  const json = JSON.stringify(state, null, 2)
-  const blob = new Blob([json], { type: 'application/json' })
+/** Parses a file's text, or returns the error to show when it isn't JSON. */
+function parseJsonOrError(jsonString) {
+  try {
+    return { parsed: JSON.parse(jsonString), error: null }
+  } catch {
+    return { parsed: null, error: 'The file does not appear to be valid JSON.' }
+  }
+}
+
+/** Downloads an object as a pretty-printed JSON file. */
+function downloadJson(obj, filename) {
+  downloadText(JSON.stringify(obj, null, 2), filename)
+}
+
+/** Downloads text as a JSON file, as it is. */
+function downloadText(text, filename) {
+  const blob = new Blob([text], { type: 'application/json' })
   const url  = URL.createObjectURL(blob)
   const a    = document.createElement('a')
   a.href     = url
-  a.download = 'genshin-training-guide.json'
+  a.download = filename
   a.click()
   URL.revokeObjectURL(url)
 }
 
+/** File name part for the active profile: "Main" → "main", "EU alt" → "eu-alt" */
+function activeProfileSlug() {
+  const name = profileIndex.profiles.find(p => p.id === profileIndex.activeId)?.name ?? ''
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile'
+}
+
+/** Export the active profile's data. */
+function exportData() {
+  downloadJson(toSaveData(), `genshin-training-guide-${activeProfileSlug()}.json`)
+}
+
+/** Export the account (not the goals) in GOOD format for optimisers and other tools. */
+function exportGood() {
+  downloadJson(toGood(state), `genshin-training-guide-${activeProfileSlug()}.good.json`)
+}
+
+/**
+ * Imports a file written by exportData(). Older exports are upgraded with
+ * migrateSave() first. Returns the reasons it was rejected (the
+ * validateImportData() list), or an empty array once applied.
+ * GOOD files go through previewGoodImport() instead.
+ */
 function importData(jsonString) {
-  try {
-    const parsed = JSON.parse(jsonString)
-
-    // Validate before applying
-    const errors = validateImportData(parsed)
-    if (errors.length > 0) {
-      const shown = errors.slice(0, 5).join('\n• ')
-      const suffix = errors.length > 5 ? `\n…and ${errors.length - 5} more` : ''
-      alert(`Import rejected — data has errors:\n\n• ${shown}${suffix}`)
-      return
-    }
+  const { parsed, error } = parseJsonOrError(jsonString)
+  if (error) return [error]
+
+  const migration = migrateSave(parsed)
+  if (migration.errors.length > 0) return migration.errors
 
+  // Validate before applying
+  const errors = validateImportData(parsed)
+  if (errors.length > 0) return errors
+
+  record('Import', () => {
     if (Array.isArray(parsed.ownedCharacters)) state.ownedCharacters = parsed.ownedCharacters
     if (parsed.characterGoals)                 state.characterGoals  = parsed.characterGoals
+    if (Array.isArray(parsed.weapons))         state.weapons         = parsed.weapons
+    if (parsed.inventory)                      state.inventory       = parsed.inventory
+    if (parsed.settings)                       Object.assign(state.settings, parsed.settings)
     if (parsed.selectedCharacter !== undefined) state.selectedCharacter = parsed.selectedCharacter
-  } catch (e) {
-    console.error('Failed to import data:', e)
-    alert('Import failed — the file does not appear to be valid JSON.')
+  })
+  return []
+}
+
+// ─── Account imports (Enka.Network, GOOD) ───────────────────
+//
+// Both read an account's actual state and merge it into the goals: current
+// levels, constellations, weapons and artifact levels come from the file,
+// targets are kept (raised only where the file is already past them). The
+// user sees a preview of every change before anything is applied.
+
+const TALENT_LABELS = { normalAttack: 'Normal Attack', skill: 'Elemental Skill', burst: 'Elemental Burst' }
+
+/** Sets a current level and raises the target to it if it was below. */
+function raiseToCurrent(entry, currentKey, targetKey, level) {
+  entry[currentKey] = level
+  if (levelRank(entry[targetKey]) < levelRank(level)) entry[targetKey] = level
+}
+
+/**
+ * Applies one imported character (see parseEnkaData()) to a (copied) goal.
+ * Weapons go through the (copied) armory: the copy named by weapon.id is
+ * used if given, else the copy the goal already uses if it's the same
+ * weapon, else an unassigned copy of it, else a new copy is added.
+ */
+function applyImportedCharacter(goal, imported, weapons, goals) {
+  raiseToCurrent(goal, 'currentLevel', 'targetLevel', imported.level)
+
+  // The Traveler's constellation and talents belong to one element; without
+  // one there's nowhere to put them
+  let set = goal
+  if (imported.element) {
+    if (!goal.elements) goal.elements = {}
+    if (!goal.elements[imported.element]) goal.elements[imported.element] = createElementGoal()
+    set = goal.elements[imported.element]
+  } else if (imported.name === TRAVELER) {
+    set = null
+  }
+  if (set) {
+    set.constellation = imported.constellation
+    if (imported.talents) {
+      for (const key of VALID_TALENT_KEYS) {
+        raiseToCurrent(set.talents[key], 'currentLevel', 'targetLevel', imported.talents[key])
+      }
+    }
+  }
+
+  if (imported.weapon) {
+    const { id, name, level, refinement } = imported.weapon
+    const held = new Set(Object.values(goals).map(g => g.weaponId))
+    let copy = weapons.find(w => w.id === id)
+      ?? weapons.find(w => w.id === goal.weaponId && w.name === name)
+      ?? weapons.find(w => w.name === name && !held.has(w.id))
+    if (!copy) {
+      copy = { id: weapons.reduce((max, w) => Math.max(max, w.id), 0) + 1, name, level, refinement }
+      weapons.push(copy)
+    }
+    copy.level = level
+    copy.refinement = refinement
+    goal.weapon = name
+    goal.weaponId = copy.id
+    raiseToCurrent(goal, 'weaponCurrentLevel', 'weaponTargetLevel', level)
+  }
+
+  for (const artifact of goal.artifacts) {
+    const imp = imported.artifacts[artifact.slot]
+    if (!imp) continue
+    if (imp.rarity) {
+      artifact.rarity = imp.rarity
+      // A lower-rarity piece can't reach the old target
+      artifact.targetLevel = Math.min(artifact.targetLevel, ARTIFACT_MAX_LEVEL[imp.rarity])
+    }
+    raiseToCurrent(artifact, 'currentLevel', 'targetLevel', imp.level)
+    if (imp.set) artifact.set = imp.set
+    // The desired main stat is the user's call; only fill it in if unset
+    if (imp.mainStat && !artifact.mainStat) artifact.mainStat = imp.mainStat
+  }
+}
+
+/**
+ * What changed for one character, as [{ label, from, to }] rows. `from` is
+ * null where there was nothing before (no weapon, an element not tracked).
+ * New characters are compared against a default goal.
+ */
+function diffGoals(before, after, weaponsBefore, weaponsAfter) {
+  const rows = []
+  const add = (label, from, to) => { if (from !== to) rows.push({ label, from, to }) }
+  const refinement = (weapons, id) => weapons.find(w => w.id === id)?.refinement ?? null
+
+  add('Level', LEVEL_LABELS[before.currentLevel], LEVEL_LABELS[after.currentLevel])
+  add('Constellation', before.constellation ?? null, after.constellation ?? null)
+  for (const [element, entry] of Object.entries(after.elements ?? {})) {
+    add(`${element} constellation`, before.elements?.[element]?.constellation ?? null, entry.constellation)
+    for (const key of VALID_TALENT_KEYS) {
+      add(`${element} ${TALENT_LABELS[key]}`, before.elements?.[element]?.talents[key].currentLevel ?? null, entry.talents[key].currentLevel)
+    }
+  }
+  for (const key of VALID_TALENT_KEYS) {
+    if (after.talents) add(TALENT_LABELS[key], before.talents?.[key].currentLevel ?? null, after.talents[key].currentLevel)
+  }
+  add('Weapon', before.weapon, after.weapon)
+  if (after.weapon) {
+    add('Weapon level', before.weapon ? LEVEL_LABELS[before.weaponCurrentLevel] : null, LEVEL_LABELS[after.weaponCurrentLevel])
+    add('Refinement', refinement(weaponsBefore, before.weaponId), refinement(weaponsAfter, after.weaponId))
+  }
+  after.artifacts.forEach((artifact, i) => {
+    add(`${artifact.slot} rarity`, `${before.artifacts[i].rarity}★`, `${artifact.rarity}★`)
+    add(artifact.slot, `+${before.artifacts[i].currentLevel}`, `+${artifact.currentLevel}`)
+  })
+  return rows
+}
+
+/**
+ * Merges imported characters into `data` (a copy of the state fields being
+ * imported) and returns the per-character changes for the preview.
+ */
+function mergeImportedCharacters(data, characters) {
+  const changes = []
+  for (const imported of characters) {
+    const before = state.characterGoals[imported.name] ?? null
+    if (!data.characterGoals[imported.name]) {
+      data.characterGoals[imported.name] = createStartingGoal(imported.name)
+      // A new Traveler starts with just the element(s) in the file
+      if (imported.element) data.characterGoals[imported.name].elements = {}
+    }
+    const goal = data.characterGoals[imported.name]
+    if (!data.ownedCharacters.includes(imported.name)) data.ownedCharacters.push(imported.name)
+
+    applyImportedCharacter(goal, imported, data.weapons, data.characterGoals)
+
+    // The Traveler appears once per element; report them together
+    const existing = changes.find(c => c.name === imported.name)
+    const change = {
+      name:  imported.name,
+      isNew: !before,
+      rows:  diffGoals(before ?? createDefaultGoal(imported.name), goal, state.weapons, data.weapons),
+    }
+    if (existing) Object.assign(existing, change)
+    else changes.push(change)
+  }
+  return changes
+}
+
+/** Copy of the state fields an account import may replace */
+function copyImportableState() {
+  return JSON.parse(JSON.stringify({
+    ownedCharacters: state.ownedCharacters,
+    characterGoals:  state.characterGoals,
+    weapons:         state.weapons,
+    inventory:       state.inventory,
+  }))
+}
+
+/**
+ * Reads an Enka.Network player dump and works out what importing it would
+ * change, without touching state. Only characters in the dump's showcase
+ * are updated; the rest of the roster, armory and inventory are left alone.
+ *
+ * Returns a preview for applyAccountImport():
+ *   errors  — why the import can't be applied (empty when it can)
+ *   skipped — characters / fields in the file that were left out
+ *   notes   — account-wide changes (armory, inventory) worth pointing out
+ *   changes — [{ name, isNew, rows: [{ label, from, to }] }], one per character
+ *   data    — the resulting state fields, already checked with
+ *             validateImportData()
+ */
+function previewEnkaImport(jsonString) {
+  const { parsed, error } = parseJsonOrError(jsonString)
+  if (error) return { errors: [error], skipped: [], notes: [], changes: [], data: null }
+
+  const { characters, skipped, errors } = parseEnkaData(parsed)
+  if (errors.length > 0) return { errors, skipped, notes: [], changes: [], data: null }
+
+  const data = copyImportableState()
+  const changes = mergeImportedCharacters(data, characters)
+  return { errors: validateImportData(data), skipped, notes: [], changes, data }
+}
+
+/**
+ * Same as previewEnkaImport() for a GOOD file (see goodFormat.js). GOOD
+ * describes the whole account, so the roster becomes the file's characters,
+ * the armory its weapons, and the inventory its materials (when it has any).
+ * Goals of characters not in the file are kept.
+ */
+function previewGoodImport(jsonString) {
+  const { parsed, error } = parseJsonOrError(jsonString)
+  if (error) return { errors: [error], skipped: [], notes: [], changes: [], data: null }
+
+  const { characters, weapons, materials, skipped, errors } = parseGood(parsed)
+  if (errors.length > 0) return { errors, skipped, notes: [], changes: [], data: null }
+
+  const data = copyImportableState()
+  data.ownedCharacters = []
+  data.weapons = weapons.map((w, i) => ({ id: i + 1, name: w.name, level: w.level, refinement: w.refinement }))
+  for (const goal of Object.values(data.characterGoals)) goal.weaponId = null
+  if (materials) data.inventory = materials
+
+  // Equip each character's located weapon before merging
+  for (const imported of characters) {
+    const idx = weapons.findIndex((w, i) => w.location === imported.name && !characters.some(c => c.weapon?.id === i + 1))
+    if (idx !== -1) imported.weapon = { ...data.weapons[idx] }
+  }
+
+  const changes = mergeImportedCharacters(data, characters)
+
+  // Characters already owned keep their priority; new ones go after them
+  const kept = state.ownedCharacters.filter(name => data.ownedCharacters.includes(name))
+  data.ownedCharacters = [...kept, ...data.ownedCharacters.filter(name => !kept.includes(name))]
+
+  const notes = [`Armory: ${state.weapons.length} → ${data.weapons.length} weapons`]
+  if (materials) notes.push(`Inventory: ${Object.keys(state.inventory).length} → ${Object.keys(materials).length} materials`)
+  const dropped = state.ownedCharacters.filter(name => !data.ownedCharacters.includes(name))
+  if (dropped.length > 0) notes.push(`No longer owned: ${dropped.join(', ')}`)
+
+  return { errors: validateImportData(data), skipped, notes, changes, data }
+}
+
+/** Applies a preview from previewEnkaImport() / previewGoodImport(). Does nothing if it had errors. */
+function applyAccountImport(preview) {
+  if (!preview?.data || preview.errors.length > 0) return
+  record('Account import', () => {
+    state.ownedCharacters = preview.data.ownedCharacters
+    state.characterGoals  = preview.data.characterGoals
+    state.weapons         = preview.data.weapons
+    state.inventory       = preview.data.inventory
+  })
+}
+
+// ─── Share links ────────────────────────────────────────────
+//
+// A share link carries goals only (see shareLink.js). Opening one shows a
+// read-only preview; from there the viewer can copy chosen builds into
+// their own goals — targets, weapons and artifact plans, never their
+// current levels.
+
+/**
+ * The share link being previewed, or null: { errors, names, goals }
+ *   errors — why the link can't be used (empty when it can)
+ *   names  — the characters in it, in the sharer's priority order
+ *   goals  — their goals, filled up with defaults and checked with
+ *            validateImportData(); a link with any goal failing it is
+ *            rejected whole
+ */
+const sharedPreview = ref(null)
+
+/** A goal with every field that matches a default goal left out, for a share link */
+function compactGoal(charName, goal) {
+  const defaults = createDefaultGoal(charName)
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+  const compact = {}
+  for (const [key, value] of Object.entries(goal)) {
+    // Armory ids only mean something in the sharer's own armory
+    if (key === 'weaponId' || same(value, defaults[key])) continue
+    compact[key] = key === 'artifacts'
+      ? value.map((artifact, i) =>
+          Object.fromEntries(Object.entries(artifact).filter(([k, v]) => !same(v, defaults.artifacts[i][k]))))
+      : value
+  }
+  return compact
+}
+
+/**
+ * A link that opens charNames' goals (every owned character with a goal
+ * when null) in the app. `base` is the app's address, without the hash.
+ */
+function createShareLink(charNames = null, base = `${location.origin}${location.pathname}`) {
+  const names = (charNames ?? state.ownedCharacters).filter(name => state.characterGoals[name])
+  const characterGoals = Object.fromEntries(names.map(name => [name, compactGoal(name, state.characterGoals[name])]))
+  return base + encodeShareHash({ schemaVersion: SCHEMA_VERSION, ownedCharacters: names, characterGoals })
+}
+
+/** The sharedPreview for a share link's hash (see above) */
+function readShareLink(hash) {
+  const rejected = errors => ({ errors, names: [], goals: {} })
+
+  const { payload, error } = decodeShareHash(hash)
+  if (error) return rejected([error])
+  const migration = migrateSave(payload)
+  if (migration.errors.length > 0) return rejected(migration.errors)
+  if (typeof payload.characterGoals !== 'object' || payload.characterGoals === null ||
+      !Array.isArray(payload.ownedCharacters)) {
+    return rejected(['The link has no goals in it'])
+  }
+
+  // Only the goals are read, whatever else the link holds (migrateSave()
+  // has filled in the fields the link left out)
+  const data = { ownedCharacters: payload.ownedCharacters, characterGoals: payload.characterGoals }
+  forEachSavedGoal(data, goal => { goal.weaponId = null })
+  const errors = validateImportData(data)
+  if (errors.length > 0) return rejected(errors)
+
+  return {
+    errors: [],
+    names:  data.ownedCharacters.filter(name => data.characterGoals[name]),
+    goals:  data.characterGoals,
+  }
+}
+
+/**
+ * Opens the preview for a share link's hash (location.hash). Links from
+ * older versions are upgraded like saves. Returns false, doing nothing,
+ * when the hash isn't a share link.
+ */
+function openShareLink(hash) {
+  if (!isShareHash(hash)) return false
+  sharedPreview.value = readShareLink(hash)
+  return true
+}
+
+function closeSharedPreview() {
+  sharedPreview.value = null
+}
+
+/**
+ * Copies a shared goal's build onto one of the viewer's goals, in place:
+ * targets, the weapon, each artifact slot's rarity, set, main stat and
+ * substats, and the set plan. Current levels and constellations stay the
+ * viewer's own, and no target ends up below its current level (an artifact
+ * already past the shared rarity's cap keeps its rarity). A different
+ * weapon drops the armory copy and starts from level 1. The Traveler's
+ * talents are copied for the elements both goals have.
+ */
+function adoptSharedGoal(goal, shared, charName) {
+  goal.targetLevel = shared.targetLevel
+  raiseToCurrent(goal, 'currentLevel', 'targetLevel', goal.currentLevel)
+
+  if (shared.weapon) {
+    if (shared.weapon !== goal.weapon) {
+      goal.weapon = shared.weapon
+      goal.weaponId = null
+      goal.weaponCurrentLevel = 1
+    }
+    goal.weaponTargetLevel = shared.weaponTargetLevel
+    raiseToCurrent(goal, 'weaponCurrentLevel', 'weaponTargetLevel', goal.weaponCurrentLevel)
+  }
+
+  goal.artifacts.forEach((artifact, i) => {
+    const from = shared.artifacts[i]
+    artifact.set                = from.set
+    artifact.mainStat           = from.mainStat
+    artifact.desiredSubstats    = [...from.desiredSubstats]
+    artifact.targetSubstatCount = from.targetSubstatCount
+    if (artifact.currentLevel <= ARTIFACT_MAX_LEVEL[from.rarity]) artifact.rarity = from.rarity
+    artifact.targetLevel = Math.max(artifact.currentLevel, Math.min(from.targetLevel, ARTIFACT_MAX_LEVEL[artifact.rarity]))
+  })
+  goal.artifactSetPlan = JSON.parse(JSON.stringify(shared.artifactSetPlan))
+
+  const ownSets = getTalentSets(charName, goal)
+  for (const set of getTalentSets(charName, shared)) {
+    const own = ownSets.find(s => s.element === set.element)
+    if (!own) continue
+    for (const key of VALID_TALENT_KEYS) {
+      own.talents[key].targetLevel = Math.max(own.talents[key].currentLevel, set.talents[key].targetLevel)
+    }
+  }
+}
+
+/**
+ * Copies the builds of the previewed link's charNames into the viewer's
+ * goals (see adoptSharedGoal()) as one undoable step. Characters without a
+ * goal get a new one first; ones not owned yet join the end of the roster.
+ * Returns the validateImportData() errors of the result, or an empty array
+ * once applied.
+ */
+function copySharedGoals(charNames) {
+  const preview = sharedPreview.value
+  if (!preview || preview.errors.length > 0) return ['No share link to copy from']
+
+  const data = copyImportableState()
+  const names = charNames.filter(name => preview.goals[name])
+  for (const name of names) {
+    if (!data.characterGoals[name]) data.characterGoals[name] = createStartingGoal(name)
+    adoptSharedGoal(data.characterGoals[name], preview.goals[name], name)
+    if (!data.ownedCharacters.includes(name)) data.ownedCharacters.push(name)
   }
+
+  const errors = validateImportData(data)
+  if (errors.length > 0) return errors
+
+  record('Copy shared goals', () => {
+    state.ownedCharacters = data.ownedCharacters
+    state.characterGoals  = data.characterGoals
+  })
+  return []
 }
 
 // ──────────────────────────────────────────────────────────
@@ -324,69 +2012,355 @@ const currentGoal = computed(() =>
   state.selectedCharacter ? state.characterGoals[state.selectedCharacter] : null
 )
 
+// Costs of one section of a goal between two levels. Character and weapon
+// EXP are left as CHARACTER_EXP / WEAPON_EXP entries (see getGoalCosts()).
+
+/** Character levelling (Mora + EXP + ascension materials) */
+function getCharacterStepCosts(charName, from, to) {
+  const costs = []
+  if (levelRank(from) >= levelRank(to)) return costs
+  const levelUp = getCharacterLevelUpCosts(from, to)
+  if (levelUp.exp > 0) mergeCosts(costs, [{ name: CHARACTER_EXP, count: levelUp.exp }])
+  mergeCosts(costs, getCharacterAscensionCosts(charName, from, to))
+  return costs
+}
+
+/** Weapon levelling (Mora + EXP + ascension materials) */
+function getWeaponStepCosts(weapon, from, to) {
+  const costs = []
+  if (!weapon || levelRank(from) >= levelRank(to)) return costs
+  const weaponUp = getWeaponLevelUpCosts(from, to, getWeaponRarity(weapon))
+  if (weaponUp.exp > 0) mergeCosts(costs, [{ name: WEAPON_EXP, count: weaponUp.exp }])
+  mergeCosts(costs, getWeaponAscensionCosts(weapon, from, to))
+  return costs
+}
+
+/** Artifact levelling (Mora only — fodder isn't a distinct material) */
+function getArtifactStepCosts(from, to, rarity) {
+  const mora = from < to ? getArtifactLevelCost(from, to, rarity) : 0
+  return mora > 0 ? [{ name: 'Mora', count: mora }] : []
+}
+
+/** One talent's levels; talentOwner as in getTalentSets() */
+function getTalentStepCosts(talentOwner, from, to) {
+  return from < to ? getTalentCosts(talentOwner, from, to) : []
+}
+
+/**
+ * One character's goal split into the parts that cost materials, as
+ * [{ category, label, costs }]:
+ *   category — 'level', 'weapon', 'artifacts' or 'talents'
+ *   label    — what the part is: "Level", the weapon's name, an artifact
+ *              slot, or a talent ("Elemental Skill (Anemo)" for the Traveler)
+ *   costs    — as getGoalCosts(), for that part alone (may be empty)
+ */
+function getGoalSections(charName, goal) {
+  const sections = [
+    { category: 'level',  label: 'Level', costs: getCharacterStepCosts(charName, goal.currentLevel, goal.targetLevel) },
+    { category: 'weapon', label: goal.weapon ?? 'Weapon', costs: getWeaponStepCosts(goal.weapon, goal.weaponCurrentLevel, goal.weaponTargetLevel) },
+  ]
+  for (const artifact of goal.artifacts) {
+    sections.push({
+      category: 'artifacts',
+      label:    artifact.slot,
+      costs:    getArtifactStepCosts(artifact.currentLevel, artifact.targetLevel, artifact.rarity),
+    })
+  }
+
+  // Talents (the Traveler has one set per unlocked element, each with its own books)
+  for (const set of getTalentSets(charName, goal)) {
+    for (const key of VALID_TALENT_KEYS) {
+      const t = set.talents?.[key]
+      if (!t) continue
+      sections.push({
+        category: 'talents',
+        label:    set.element ? `${TALENT_LABELS[key]} (${set.element})` : TALENT_LABELS[key],
+        costs:    getTalentStepCosts(set.talentOwner, t.currentLevel, t.targetLevel),
+      })
+    }
+  }
+  return sections
+}
+
+/**
+ * Returns the gross material list { name, count } for one character's goal:
+ * character levelling, weapon levelling, artifact Mora and talents.
+ * Artifact XP is skipped — it's fodder-based, not a distinct material.
+ *
+ * Character and weapon EXP are left as CHARACTER_EXP / WEAPON_EXP entries
+ * for expandExpCosts() / expandEachExpCosts() to turn into books / ores.
+ */
+function getGoalCosts(charName, goal) {
+  const costs = []
+  for (const section of getGoalSections(charName, goal)) mergeCosts(costs, section.costs)
+  return costs
+}
+
+/** Number of a material currently in the inventory (0 if not tracked). */
+function getOwnedCount(materialName) {
+  return state.inventory[materialName] ?? 0
+}
+
 /**
  * Aggregated materials across all owned characters with goals.
- * Returns an array of { name, count, iconUrl, isMora } sorted with Mora first, then by count desc.
+ * Returns an array of { name, count, owned, missing, iconUrl, isMora }
+ * sorted with Mora first, then by count desc.
+ * `missing` is the deficit still to farm after subtracting the inventory.
  */
 const totalMaterials = computed(() => {
-  const costs = []
+  // EXP books / ores are picked per goal, in priority order (see expandEachExpCosts())
+  const expanded = expandEachExpCosts(
+    state.ownedCharacters
+      .filter(charName => state.characterGoals[charName])
+      .map(charName => getGoalCosts(charName, state.characterGoals[charName])),
+    state.inventory,
+  )
+
+  // Sort: Mora first, then by count descending
+  expanded.sort((a, b) => {
+    if (a.name === 'Mora') return -1
+    if (b.name === 'Mora') return 1
+    return b.count - a.count
+  })
+
+  // Add inventory counts, icon URLs and isMora flag
+  return expanded.map(c => {
+    const owned = getOwnedCount(c.name)
+    return {
+      ...c,
+      owned,
+      missing: Math.max(0, c.count - owned),
+      iconUrl: getMaterialIconUrl(c.name),
+      isMora: c.name === 'Mora',
+    }
+  })
+})
+
+/**
+ * Crafting-aware breakdown of totalMaterials: tiered materials are grouped
+ * into families and surplus lower tiers in the inventory are crafted up to
+ * cover higher-tier deficits. See resolveCrafting() for the shape.
+ */
+const craftingPlan = computed(() =>
+  resolveCrafting(totalMaterials.value, state.inventory)
+)
 
+/**
+ * Day-by-day farming schedule for whatever craftingPlan still lists as
+ * missing, starting today, with the Dream Solvent in the inventory for the
+ * weekly bosses. See planFarming() for the shape.
+ */
+const farmingPlan = computed(() =>
+  planFarming(craftingPlan.value, {
+    dailyResin:   state.settings.dailyResin,
+    dreamSolvent: getOwnedCount(DREAM_SOLVENT),
+  })
+)
+
+/**
+ * Artifact EXP across all owned characters' goals, as fodder to feed. See
+ * planArtifactFodder() for the shape; `exp` is the total EXP needed.
+ * Kept out of totalMaterials — fodder artifacts have no material count.
+ */
+const artifactFodder = computed(() => {
+  let exp = 0
   for (const charName of state.ownedCharacters) {
     const goal = state.characterGoals[charName]
     if (!goal) continue
+    for (const artifact of goal.artifacts) {
+      exp += getArtifactXpCost(artifact.currentLevel, artifact.targetLevel, artifact.rarity)
+    }
+  }
+  const levelled = state.settings.levelledFodder.map(f => ({ ...f, investedExp: getArtifactXpCost(0, f.level, f.rarity) }))
+  return { exp, ...planArtifactFodder(exp, state.inventory, levelled) }
+})
 
-    // Character levelling (Mora + Hero's Wits + ascension materials)
-    if (goal.currentLevel < goal.targetLevel) {
-      const levelUp = getCharacterLevelUpCosts(goal.currentLevel, goal.targetLevel)
-      if (levelUp.mora > 0) mergeCosts(costs, [{ name: 'Mora', count: levelUp.mora }])
-      if (levelUp.heroWits > 0) mergeCosts(costs, [{ name: "Hero's Wit", count: levelUp.heroWits }])
+/**
+ * The inventory handed out to owned characters in priority order (the
+ * order of state.ownedCharacters), so earlier characters get first pick.
+ *
+ *   byCharacter — { [charName]: { priority, status, blockedBy, missing } },
+ *                 priority counting from 1; see allocateInventory() for the rest
+ *   runsOutAt   — the first character the stock doesn't fully cover, as
+ *                 { name, priority }, or null when it covers everyone
+ */
+const materialAllocation = computed(() => {
+  const characters = state.ownedCharacters
+    .filter(name => state.characterGoals[name])
+    .map(name => ({ name, costs: getGoalCosts(name, state.characterGoals[name]) }))
 
-      const ascensionCosts = getCharacterAscensionCosts(charName, goal.currentLevel, goal.targetLevel)
-      mergeCosts(costs, ascensionCosts)
-    }
+  const byCharacter = {}
+  let runsOutAt = null
+  allocateInventory(characters, state.inventory).forEach(entry => {
+    const priority = state.ownedCharacters.indexOf(entry.name) + 1
+    byCharacter[entry.name] = { priority, status: entry.status, blockedBy: entry.blockedBy, missing: entry.missing }
+    if (!runsOutAt && (entry.status === 'partial' || entry.status === 'blocked')) runsOutAt = { name: entry.name, priority }
+  })
+  return { byCharacter, runsOutAt }
+})
+
+/** A copy of a goal with every current level back at the start */
+function goalFromScratch(charName, goal) {
+  const copy = JSON.parse(JSON.stringify(goal))
+  copy.currentLevel = 1
+  copy.weaponCurrentLevel = 1
+  for (const artifact of copy.artifacts) artifact.currentLevel = 0
+  for (const set of getTalentSets(charName, copy)) {
+    for (const talent of Object.values(set.talents ?? {})) talent.currentLevel = 1
+  }
+  return copy
+}
+
+/** Mora a cost list still costs, EXP feeding included (books and ores as if none were owned) */
+function costsMora(costs) {
+  return expandExpCosts(costs).find(c => c.name === 'Mora')?.count ?? 0
+}
 
-    // Weapon levelling
-    if (goal.weapon && goal.weaponCurrentLevel < goal.weaponTargetLevel) {
-      const rarity = getWeaponRarity(goal.weapon)
-      const weaponUp = getWeaponLevelUpCosts(goal.weaponCurrentLevel, goal.weaponTargetLevel, rarity)
-      if (weaponUp.mora > 0) mergeCosts(costs, [{ name: 'Mora', count: weaponUp.mora }])
-      if (weaponUp.mysticOres > 0) mergeCosts(costs, [{ name: 'Mystic Enhancement Ore', count: weaponUp.mysticOres }])
+/** Categories of getGoalSections(), in tab order */
+const PROGRESS_CATEGORIES = ['level', 'weapon', 'artifacts', 'talents']
 
-      const weaponAscCosts = getWeaponAscensionCosts(goal.weapon, goal.weaponCurrentLevel, goal.weaponTargetLevel)
-      mergeCosts(costs, weaponAscCosts)
+/** Share 0–1 of `total` no longer `left`, or null when there was nothing to do */
+function completionOf(left, total) {
+  if (total === 0) return left === 0 ? null : 0
+  return Math.min(1, Math.max(0, 1 - left / total))
+}
+
+/**
+ * How far each owned character's goal has come, for the roster grid's goal
+ * filters and sorts and the progress dashboard:
+ * { [charName]: { mora, completion, done, hasWeapon, categories, exp } }
+ *   mora       — Mora still to spend on the goal, EXP feeding included
+ *   completion — 0–1, the share of the goal's Mora (counted from level 1)
+ *                already spent
+ *   done       — nothing left to level
+ *   hasWeapon  — a weapon is picked
+ *   categories — { level, weapon, artifacts, talents }, each { mora, completion }
+ *                the same way for that part alone; completion is null when
+ *                the part has nothing to do even from scratch (no weapon)
+ *   exp        — { character, weapon, artifact } EXP still to feed
+ */
+const rosterProgress = computed(() => {
+  const result = {}
+  for (const name of state.ownedCharacters) {
+    const goal = state.characterGoals[name]
+    if (!goal) continue
+    const sections = getGoalSections(name, goal)
+    const scratch  = getGoalSections(name, goalFromScratch(name, goal))
+    const sectionsMora = (list, category) =>
+      list.filter(s => s.category === category).reduce((sum, s) => sum + costsMora(s.costs), 0)
+
+    const categories = {}
+    let mora = 0
+    let total = 0
+    for (const category of PROGRESS_CATEGORIES) {
+      const left = sectionsMora(sections, category)
+      const from = sectionsMora(scratch, category)
+      categories[category] = { mora: left, completion: completionOf(left, from) }
+      mora += left
+      total += from
     }
 
-    // Artifacts (Mora only — XP is fodder-based, not a distinct material)
-    for (const artifact of goal.artifacts) {
-      if (artifact.currentLevel < artifact.targetLevel) {
-        const mora = getArtifactLevelCost(artifact.currentLevel, artifact.targetLevel)
-        if (mora > 0) mergeCosts(costs, [{ name: 'Mora', count: mora }])
-      }
+    const done = sections.every(s => s.costs.length === 0)
+    const expOf = (material) => sections.reduce((sum, s) => sum + (s.costs.find(c => c.name === material)?.count ?? 0), 0)
+    result[name] = {
+      mora,
+      completion: done ? 1 : completionOf(mora, total) ?? 1,
+      done,
+      hasWeapon:  !!goal.weapon,
+      categories,
+      exp: {
+        character: expOf(CHARACTER_EXP),
+        weapon:    expOf(WEAPON_EXP),
+        artifact:  goal.artifacts.reduce((sum, a) => sum + getArtifactXpCost(a.currentLevel, a.targetLevel, a.rarity), 0),
+      },
     }
+  }
+  return result
+})
 
-    // Talents
-    for (const key of ['normalAttack', 'skill', 'burst']) {
-      const t = goal.talents[key]
-      if (t && t.currentLevel < t.targetLevel) {
-        const talentCosts = getTalentCosts(charName, t.currentLevel, t.targetLevel)
-        mergeCosts(costs, talentCosts)
+/**
+ * Which owned characters' goals need each material, for the material
+ * summary and the progress dashboard:
+ * { [materialName]: [{ charName, category, label, count }] } in roster
+ * priority order, one entry per goal section (see getGoalSections()).
+ * EXP stays under the CHARACTER_EXP / WEAPON_EXP names, and Mora includes
+ * what feeding that EXP costs, so a character's Mora matches rosterProgress.
+ */
+const materialUsage = computed(() => {
+  const usage = {}
+  const add = (name, entry) => {
+    if (!usage[name]) usage[name] = []
+    usage[name].push(entry)
+  }
+  for (const charName of state.ownedCharacters) {
+    const goal = state.characterGoals[charName]
+    if (!goal) continue
+    for (const { category, label, costs } of getGoalSections(charName, goal)) {
+      for (const c of costs) {
+        if (c.name !== 'Mora') add(c.name, { charName, category, label, count: c.count })
       }
+      const mora = costsMora(costs)
+      if (mora > 0) add('Mora', { charName, category, label, count: mora })
     }
   }
+  return usage
+})
 
-  // Sort: Mora first, then by count descending
-  costs.sort((a, b) => {
-    if (a.name === 'Mora') return -1
-    if (b.name === 'Mora') return 1
-    return b.count - a.count
-  })
+/**
+ * The inventory's Crowns of Insight handed out to owned characters' level 10
+ * talents in priority order. See allocateCrowns() for the shape.
+ */
+const crownPlan = computed(() =>
+  allocateCrowns(materialUsage.value[CROWN_OF_INSIGHT] ?? [], getOwnedCount(CROWN_OF_INSIGHT))
+)
 
-  // Add icon URLs and isMora flag
-  return costs.map(c => ({
-    ...c,
-    iconUrl: getMaterialIconUrl(c.name),
-    isMora: c.name === 'Mora',
-  }))
+/**
+ * Artifact farming across the owned roster's set plans:
+ *   domains, unfarmed — see planArtifactDomains()
+ *   conflicts         — characters chasing the same off-piece, see
+ *                       findOffPieceConflicts()
+ */
+const artifactPlan = computed(() => {
+  const characters = state.ownedCharacters
+    .filter(name => state.characterGoals[name])
+    .map(name => ({ name, goal: state.characterGoals[name] }))
+  return { ...planArtifactDomains(characters), conflicts: findOffPieceConflicts(characters) }
+})
+
+/**
+ * Weapon ascension materials across the owned roster.
+ *
+ *   planned — [{ charName, weapon, from, to }] every owned character with a
+ *             weapon still to ascend or level, in priority order; pass it to
+ *             weaponBlocks() for one weapon's breakdown
+ *   groups, weekdays, mora — see planWeaponMaterials()
+ */
+const weaponMaterials = computed(() => {
+  const planned = state.ownedCharacters
+    .filter(name => {
+      const goal = state.characterGoals[name]
+      return goal?.weapon && levelRank(goal.weaponCurrentLevel) < levelRank(goal.weaponTargetLevel)
+    })
+    .map(name => {
+      const goal = state.characterGoals[name]
+      return { charName: name, weapon: goal.weapon, from: goal.weaponCurrentLevel, to: goal.weaponTargetLevel }
+    })
+  return { planned, ...planWeaponMaterials(planned, state.inventory) }
+})
+
+/**
+ * Which characters use each armory weapon: { [weaponId]: [charName, …] }.
+ * More than one name means the weapon is double-booked (only possible with
+ * hand-edited saves — assignWeapon() never does it).
+ */
+const weaponAssignments = computed(() => {
+  const result = {}
+  for (const [charName, goal] of Object.entries(state.characterGoals)) {
+    if (goal.weaponId === null || goal.weaponId === undefined) continue
+    if (!result[goal.weaponId]) result[goal.weaponId] = []
+    result[goal.weaponId].push(charName)
+  }
+  return result
 })
 
 // ──────────────────────────────────────────────────────────
@@ -398,12 +2372,64 @@ export function useTrainingGuide() {
     state,
     currentGoal,
     totalMaterials,
+    craftingPlan,
+    farmingPlan,
+    crownPlan,
+    artifactFodder,
+    materialAllocation,
+    rosterProgress,
+    materialUsage,
+    artifactPlan,
+    weaponMaterials,
+    weaponAssignments,
+    migrationNotice,
+    unreadableSave,
+    profileIndex,
+    history,
     loadFromStorage,
+    downloadMigrationBackup,
+    dismissMigrationNotice,
+    downloadUnreadableSave,
+    discardUnreadableSave,
     selectCharacter,
+    deselectCharacter,
     toggleOwnership,
+    moveCharacter,
+    undo,
+    redo,
+    switchProfile,
+    createProfile,
+    renameProfile,
+    duplicateProfile,
+    deleteProfile,
     ensureGoal,
     updateGoal,
+    completeStep,
+    addWeapon,
+    updateWeapon,
+    removeWeapon,
+    assignWeapon,
+    getTalentSets,
+    unlockTravelerElement,
+    removeTravelerElement,
+    setInventoryCount,
+    setLevelledFodder,
+    addGoalTemplate,
+    updateGoalTemplate,
+    removeGoalTemplate,
+    setDefaultTemplate,
+    applyGoalTemplate,
+    setDailyResin,
     exportData,
     importData,
+    exportGood,
+    previewEnkaImport,
+    previewGoodImport,
+    applyAccountImport,
+    sharedPreview,
+    createShareLink,
+    openShareLink,
+    closeSharedPreview,
+    copySharedGoals,
   }
 }
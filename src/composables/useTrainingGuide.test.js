@@ -0,0 +1,135 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { encodeShareHash } from '../data/shareLink.js'
+
+// The composable loads the save from localStorage as soon as it's imported
+const store = {}
+globalThis.localStorage = {
+  getItem:    key => store[key] ?? null,
+  setItem:    (key, value) => { store[key] = String(value) },
+  removeItem: key => { delete store[key] },
+}
+const { useTrainingGuide } = await import('./useTrainingGuide.js')
+const { state, history, importData, ensureGoal, updateGoal, undo, sharedPreview, openShareLink, copySharedGoals, closeSharedPreview } = useTrainingGuide()
+
+const shareHash = goal => encodeShareHash({ schemaVersion: 4, ownedCharacters: ['Hu Tao'], characterGoals: { 'Hu Tao': goal } })
+
+test('a well-formed share link opens and copies', () => {
+  assert.equal(openShareLink(shareHash({ targetLevel: 80, weapon: 'Staff of Homa' })), true)
+  assert.deepEqual(sharedPreview.value.errors, [])
+  assert.deepEqual(copySharedGoals(['Hu Tao']), [])
+  assert.equal(state.characterGoals['Hu Tao'].weapon, 'Staff of Homa')
+  closeSharedPreview()
+})
+
+test('share links with malformed goals are rejected before anything is copied', () => {
+  const before = JSON.stringify(state.characterGoals)
+  const links = {
+    'non-array desiredSubstats': { artifacts: [{}, {}, { desiredSubstats: 'CRIT Rate%' }, {}, {}] },
+    'a number for a talent':     { talents: { normalAttack: 5, skill: { currentLevel: 1, targetLevel: 9 }, burst: { currentLevel: 1, targetLevel: 9 } } },
+    'a made-up weapon':          { weapon: 'Totally Fake' },
+  }
+  for (const [what, goal] of Object.entries(links)) {
+    openShareLink(shareHash(goal))
+    assert.equal(sharedPreview.value.errors.length, 1, what)
+    assert.deepEqual(sharedPreview.value.names, [], what)
+    assert.deepEqual(copySharedGoals(['Hu Tao']), ['No share link to copy from'], what)
+    closeSharedPreview()
+  }
+  assert.equal(JSON.stringify(state.characterGoals), before)
+})
+
+test('an import with goals missing fields gets the defaults for them', () => {
+  const before = JSON.stringify(state.characterGoals)
+  const file = { schemaVersion: 4, ownedCharacters: ['Xiangling'], characterGoals: { Xiangling: { currentLevel: 1, targetLevel: 90 } } }
+
+  assert.deepEqual(importData(JSON.stringify(file)), [])
+  assert.equal(state.characterGoals.Xiangling.artifacts.length, 5)
+  assert.equal(history.undo.at(-1).label, 'Import')
+
+  undo()
+  assert.equal(JSON.stringify(state.characterGoals), before)
+})
+
+test('an edit is kept as an undo step even when its changes can\'t be described', () => {
+  ensureGoal('Bennett')
+  const before = JSON.stringify(state.characterGoals)
+  const steps = history.undo.length
+
+  // describeChanges() can't read a goal without an artifact list
+  updateGoal('Bennett', { artifacts: null })
+  assert.equal(history.undo.length, steps + 1)
+  assert.deepEqual(history.undo.at(-1).changes, ['Changes could not be listed'])
+
+  undo()
+  assert.equal(JSON.stringify(state.characterGoals), before)
+})
+
+test('an edit that throws part-way can still be undone', () => {
+  const before = JSON.stringify(state.characterGoals)
+  assert.throws(() => updateGoal('Bennett', goal => {
+    goal.targetLevel = 80
+    throw new Error('halfway')
+  }), /halfway/)
+  assert.equal(history.undo.at(-1).label, 'Bennett')
+
+  undo()
+  assert.equal(JSON.stringify(state.characterGoals), before)
+})
+
+// ─── Import validation ───────────────────────────────────────
+
+const talents = () => ({
+  normalAttack: { currentLevel: 1, targetLevel: 9 },
+  skill:        { currentLevel: 1, targetLevel: 9 },
+  burst:        { currentLevel: 1, targetLevel: 9 },
+})
+
+/** Errors importing a current-version file with one goal for Hu Tao */
+const importGoal = goal => importData(JSON.stringify({ schemaVersion: 4, ownedCharacters: ['Hu Tao'], characterGoals: { 'Hu Tao': goal } }))
+
+/** A goal whose slot `i` has `patch` applied (the other fields are filled in) */
+const withArtifact = (i, patch) => ({ artifacts: [{}, {}, {}, {}, {}].map((a, k) => (k === i ? patch : a)) })
+
+test('imports with malformed talents are rejected', () => {
+  const before = JSON.stringify(state.characterGoals)
+  for (const normalAttack of [5, null, { currentLevel: 1, targetLevel: 11 }, { currentLevel: 1.5, targetLevel: 9 }, { currentLevel: 1 }]) {
+    assert.deepEqual(importGoal({ talents: { ...talents(), normalAttack } }),
+      ['"Hu Tao" talent "normalAttack" must have whole-number levels from 1 to 10'], JSON.stringify(normalAttack))
+  }
+  assert.deepEqual(importGoal({ talents: 'high' }), ['"Hu Tao" talents must be an object'])
+
+  const traveler = { elements: { Anemo: { constellation: 0, talents: { ...talents(), burst: 12 } }, Geo: { constellation: 0 } } }
+  assert.deepEqual(importData(JSON.stringify({ schemaVersion: 4, ownedCharacters: ['Traveler'], characterGoals: { Traveler: traveler } })), [
+    '"Traveler" (Anemo) talent "burst" must have whole-number levels from 1 to 10',
+    '"Traveler" (Geo) talents must be an object',
+  ])
+  assert.equal(JSON.stringify(state.characterGoals), before)
+})
+
+test('imports with an unknown weapon are rejected', () => {
+  assert.deepEqual(importGoal({ weapon: 'Totally Fake' }), ['"Hu Tao" has unknown weapon: "Totally Fake"'])
+  assert.deepEqual(importGoal({ weapon: 42 }), ['"Hu Tao" has unknown weapon: 42'])
+})
+
+test('imports with unknown artifact stats are rejected', () => {
+  for (const desiredSubstats of ['CRIT Rate%', null, ['Luck'], ['ATK%', 'ATK%'], ['HP', 'ATK', 'DEF', 'HP%', 'ATK%']]) {
+    assert.deepEqual(importGoal(withArtifact(2, { desiredSubstats })),
+      ['"Hu Tao" Sands desiredSubstats must list up to 4 different substats'], JSON.stringify(desiredSubstats))
+  }
+
+  assert.deepEqual(importGoal(withArtifact(2, { mainStat: 'CRIT DMG%' })), ['"Hu Tao" Sands has unknown main stat: "CRIT DMG%"'])
+  assert.deepEqual(importGoal(withArtifact(0, { mainStat: null })), ['"Hu Tao" Flower has unknown main stat: null'])
+
+  for (const targetSubstatCount of [3, -1, '2', 1.5]) {
+    assert.equal(importGoal(withArtifact(4, { desiredSubstats: ['CRIT Rate%', 'CRIT DMG%'], targetSubstatCount })).length, 1,
+      JSON.stringify(targetSubstatCount))
+  }
+})
+
+test('a well-formed artifact plan imports', () => {
+  const circlet = { mainStat: 'CRIT DMG%', desiredSubstats: ['CRIT Rate%', 'HP%'], targetSubstatCount: 2 }
+  assert.deepEqual(importGoal({ weapon: 'Staff of Homa', ...withArtifact(4, circlet) }), [])
+  assert.deepEqual(state.characterGoals['Hu Tao'].artifacts[4].desiredSubstats, ['CRIT Rate%', 'HP%'])
+  undo()
+})
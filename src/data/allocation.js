@@ -0,0 +1,107 @@
+/**
+ * allocation.js
+ *
+ * Hands the inventory out to characters in priority order.
+ *
+ * totalMaterials answers "what does the whole roster still need"; it can't
+ * say whether today's stockpile finishes the top carry before the fifth
+ * support. allocateInventory() walks the characters highest priority first,
+ * lets each one take what it needs from whatever is left (crafting up
+ * surplus lower tiers and picking EXP books as usual), and reports per
+ * character whether that covered the goal.
+ *
+ * A character that comes up short is "blocked" when something it's missing
+ * was taken by a higher-priority character, and "partial" when the stock
+ * simply doesn't have enough of it. *
+ * planMaterialUse() is the one-shot version: what a single cost list would
+ * take out of the inventory. It's also used to deduct materials when a goal
+ * step is marked done.
+ */
+
+import { resolveCrafting, getMaterialFamily } from './crafting.js'
+import { expandExpCosts } from './expOptimiser.js'
+
+/** Every material name a missing item could have been made from (its whole family). */
+function relatedNames(name) {
+  const entry = getMaterialFamily(name)
+  return entry ? entry.family.tiers.map(t => t.name) : [name]
+}
+
+/**
+ * What paying for `costs` out of `inventory` would use up, crafting surplus
+ * lower tiers and picking EXP books / ores as usual.
+ *
+ * costs:     raw cost list (CHARACTER_EXP / WEAPON_EXP placeholders allowed)
+ * inventory: { [materialName]: count } — not modified
+ *
+ * Returns:
+ *   used    — { [materialName]: count } taken from the inventory, crafting
+ *             inputs included
+ *   missing — [{ name, count }] the inventory can't cover
+ *   nothing — true when costs were empty (nothing to pay for)
+ */
+export function planMaterialUse(costs, inventory) {
+  const needed = expandExpCosts(costs, inventory)
+  const used = {}
+  const missing = []
+  if (needed.length === 0) return { used, missing, nothing: true }
+
+  const plan = resolveCrafting(needed, inventory)
+  for (const family of plan.families) {
+    for (const tier of family.tiers) {
+      if (tier.used > 0) used[tier.name] = tier.used
+      if (tier.missing > 0) missing.push({ name: tier.name, count: tier.missing })
+    }
+  }
+  for (const other of plan.others) {
+    const taken = Math.min(other.count, other.owned)
+    if (taken > 0) used[other.name] = taken
+    if (other.missing > 0) missing.push({ name: other.name, count: other.missing })
+  }
+  return { used, missing, nothing: false }
+}
+
+/**
+ * characters: [{ name, costs }] highest priority first, where costs is a raw
+ *             cost list (CHARACTER_EXP / WEAPON_EXP placeholders allowed)
+ * inventory:  { [materialName]: count } — not modified
+ *
+ * Returns [{ name, status, blockedBy, missing }] in the same order:
+ *   status    — 'complete' (nothing left to level), 'covered', 'partial'
+ *               or 'blocked'
+ *   blockedBy — higher-priority characters that used up something this one
+ *               is missing (empty unless blocked)
+ *   missing   — [{ name, count }] still to farm once the characters above
+ *               have taken their share
+ */
+export function allocateInventory(characters, inventory) {
+  const remaining = { ...inventory }
+  // Material name → characters that took some of it, in priority order
+  const takenBy = {}
+
+  const take = (materialName, count, charName) => {
+    if (count <= 0) return
+    remaining[materialName] = (remaining[materialName] ?? 0) - count
+    if (!takenBy[materialName]) takenBy[materialName] = []
+    if (!takenBy[materialName].includes(charName)) takenBy[materialName].push(charName)
+  }
+
+  return characters.map(({ name, costs }) => {
+    const { used, missing, nothing } = planMaterialUse(costs, remaining)
+    if (nothing) return { name, status: 'complete', blockedBy: [], missing: [] }
+
+    for (const [materialName, count] of Object.entries(used)) take(materialName, count, name)
+
+    if (missing.length === 0) return { name, status: 'covered', blockedBy: [], missing }
+
+    const blockedBy = new Set()
+    for (const item of missing) {
+      for (const related of relatedNames(item.name)) {
+        for (const other of takenBy[related] ?? []) {
+          if (other !== name) blockedBy.add(other)
+        }
+      }
+    }
+    return { name, status: blockedBy.size > 0 ? 'blocked' : 'partial', blockedBy: [...blockedBy], missing }
+  })
+}
@@ -0,0 +1,103 @@
+/**
+ * artifactFodder.js
+ *
+ * Turns artifact EXP into things to feed: levelled artifacts set aside as
+ * fodder first, then Sanctifying Essence / Unction from the inventory, then
+ * low-rarity artifacts for the rest.
+ *
+ * Fodder artifacts aren't tracked as materials (they pile up from domains,
+ * chests and bosses in no fixed amount), so the rest is given as a count
+ * for each rarity — "this many 4★, or this many 3★, …" — rather than a
+ * shopping list. Essence and Unction are only used as far as the inventory
+ * has them; they can't be farmed.
+ *
+ * Feeding costs 1 Mora per EXP the fodder gives, overshoot included.
+ */
+
+// ──────────────────────────────────────────────────────────
+// Constants
+// ──────────────────────────────────────────────────────────
+
+/** EXP bottles, highest first */
+export const ARTIFACT_EXP_ITEMS = [
+  { name: 'Sanctifying Essence', exp: 10_000 },
+  { name: 'Sanctifying Unction', exp:  2_500 },
+]
+
+/** EXP an unlevelled artifact gives when fed, by rarity */
+const FODDER_BASE_EXP = { 1: 420, 2: 840, 3: 1_260, 4: 2_520, 5: 3_780 }
+
+/** Rarities suggested as fodder, most EXP first */
+export const FODDER_RARITIES = [4, 3, 2, 1]
+
+/** A fed artifact gives back this share of the EXP that was put into it */
+const FED_EXP_RETURN = 0.8
+
+const MORA_PER_EXP = 1
+
+// ──────────────────────────────────────────────────────────
+// Planning
+// ──────────────────────────────────────────────────────────
+
+/**
+ * EXP an artifact gives when fed: its base EXP by rarity plus 80% of the
+ * EXP already fed into it. Levelling fodder before feeding it on loses the
+ * other 20% (and the Mora it cost).
+ */
+export function fodderExp(rarity, investedExp = 0) {
+  return (FODDER_BASE_EXP[rarity] ?? 0) + Math.floor(investedExp * FED_EXP_RETURN)
+}
+
+/**
+ * What to feed for `expNeeded` artifact EXP.
+ *
+ * inventory: { [materialName]: count } — not modified
+ * levelled:  [{ rarity, investedExp, count, … }] levelled artifacts set
+ *            aside as fodder, `count` of each; they're fed first, most EXP
+ *            per piece first, and like the bottles only where they don't
+ *            overshoot
+ *
+ * Returns:
+ *   levelled  — the `levelled` entries with { exp, count, owned }: EXP per
+ *               piece, how many are fed and how many were set aside
+ *   items     — [{ name, exp, count, owned }] Essence / Unction taken from
+ *               the inventory; bottles are only used where they don't
+ *               overshoot, so `count` can be less than `owned`
+ *   remaining — EXP still to cover with fodder artifacts
+ *   fodder    — [{ rarity, exp, count, mora }] for each rarity in
+ *               FODDER_RARITIES: how many +0 pieces of only that rarity
+ *               cover `remaining`, and the Mora for everything fed
+ *               (levelled pieces and bottles included) if that's the
+ *               rarity used
+ *   mora      — Mora if the fodder EXP landed exactly on the target
+ */
+export function planArtifactFodder(expNeeded, inventory = {}, levelled = []) {
+  let remaining = Math.max(0, Math.ceil(expNeeded))
+  // EXP fed from levelled pieces and bottles
+  let fedExp = 0
+
+  const feed = (exp, owned) => {
+    const count = Math.min(owned, Math.floor(remaining / exp))
+    remaining -= count * exp
+    fedExp += count * exp
+    return count
+  }
+
+  const pieces = levelled
+    .map(piece => ({ ...piece, exp: fodderExp(piece.rarity, piece.investedExp) }))
+    .sort((a, b) => b.exp - a.exp)
+    .map(piece => ({ ...piece, count: feed(piece.exp, piece.count), owned: piece.count }))
+
+  const items = ARTIFACT_EXP_ITEMS.map(item => {
+    const owned = inventory[item.name] ?? 0
+    return { name: item.name, exp: item.exp, count: feed(item.exp, owned), owned }
+  })
+
+  const fodder = FODDER_RARITIES.map(rarity => {
+    const exp = fodderExp(rarity)
+    const count = Math.ceil(remaining / exp)
+    return { rarity, exp, count, mora: (fedExp + count * exp) * MORA_PER_EXP }
+  })
+
+  return { levelled: pieces, items, remaining, fodder, mora: (fedExp + remaining) * MORA_PER_EXP }
+}
@@ -0,0 +1,38 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { fodderExp, planArtifactFodder } from './artifactFodder.js'
+import { getArtifactXpCost } from './levelTables.js'
+
+const levelled = (rarity, level, count) => ({ rarity, level, count, investedExp: getArtifactXpCost(0, level, rarity) })
+
+test('a levelled piece gives its base EXP plus 80% of what was fed into it', () => {
+  assert.equal(fodderExp(4), 2_520)
+  assert.equal(fodderExp(4, 13_050), 2_520 + 10_440)
+})
+
+test('without levelled fodder the rest is covered by +0 pieces', () => {
+  const plan = planArtifactFodder(30_000)
+  assert.deepEqual(plan.levelled, [])
+  assert.equal(plan.remaining, 30_000)
+  assert.equal(plan.fodder.find(f => f.rarity === 4).count, 12)
+})
+
+test('+4 and +8 fodder is fed first and shrinks what +0 pieces have to cover', () => {
+  const plan = planArtifactFodder(60_000, {}, [levelled(4, 4, 1), levelled(4, 8, 1)])
+
+  // The +8 piece gives the most, so it's listed (and fed) first
+  assert.deepEqual(plan.levelled.map(p => [p.level, p.exp, p.count, p.owned]), [
+    [8, 2_520 + 28_840, 1, 1],
+    [4, 2_520 + 10_440, 1, 1],
+  ])
+  assert.equal(plan.remaining, 60_000 - 31_360 - 12_960)
+  assert.equal(plan.fodder.find(f => f.rarity === 4).count, 7)
+  assert.equal(plan.mora, 60_000)
+})
+
+test('levelled fodder is only fed where it doesn\'t overshoot', () => {
+  const plan = planArtifactFodder(40_000, { 'Sanctifying Unction': 10 }, [levelled(4, 8, 3)])
+  assert.equal(plan.levelled[0].count, 1)
+  assert.equal(plan.items.find(i => i.name === 'Sanctifying Unction').count, 3)
+  assert.equal(plan.remaining, 40_000 - 31_360 - 7_500)
+})
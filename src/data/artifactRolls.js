@@ -0,0 +1,221 @@
+/**
+ * artifactRolls.js
+ *
+ * How long an artifact slot's target takes to drop: the chance that one
+ * domain drop of the slot's rarity has the right set, slot, main stat and
+ * enough of the desired substats, and from that the expected runs, resin
+ * and days. Only 5★ and 4★ slots get odds — lower rarities are everywhere,
+ * and don't reliably reach four substat lines.
+ *
+ * Substat targets count lines, not roll values: targetSubstatCount of the
+ * slot's desiredSubstats must be among the artifact's four substats once
+ * levelled. Missing lines are added on levelling by the same weighted draw,
+ * so the final four lines are four weighted draws without replacement
+ * either way and the starting line count doesn't change the odds.
+ *
+ * Weights are the community-datamined values; the results are averages, and
+ * actual luck varies wildly.
+ */
+
+import { getArtifactSetDomain } from './genshinData.js'
+
+// ──────────────────────────────────────────────────────────
+// Constants
+// ──────────────────────────────────────────────────────────
+
+/** Main stat drop chances per slot, in percent (ArtifactsTab's stat names) */
+const MAIN_STAT_WEIGHTS = {
+  Flower:  { 'HP': 100 },
+  Plume:   { 'ATK': 100 },
+  Sands:   { 'HP%': 26.68, 'ATK%': 26.66, 'DEF%': 26.66, 'Energy Recharge%': 10, 'Elemental Mastery': 10 },
+  Goblet:  {
+    'HP%': 19.25, 'ATK%': 19.25, 'DEF%': 19, 'Elemental Mastery': 2.5,
+    'Pyro DMG Bonus%': 5, 'Hydro DMG Bonus%': 5, 'Electro DMG Bonus%': 5, 'Cryo DMG Bonus%': 5,
+    'Anemo DMG Bonus%': 5, 'Geo DMG Bonus%': 5, 'Dendro DMG Bonus%': 5, 'Physical DMG Bonus%': 5,
+  },
+  Circlet: {
+    'HP%': 22, 'ATK%': 22, 'DEF%': 22, 'CRIT Rate%': 10, 'CRIT DMG%': 10,
+    'Healing Bonus%': 10, 'Elemental Mastery': 4,
+  },
+}
+
+/** Relative chance of each substat being picked for a new line */
+const SUBSTAT_WEIGHTS = {
+  'HP': 6, 'ATK': 6, 'DEF': 6,
+  'HP%': 4, 'ATK%': 4, 'DEF%': 4,
+  'Energy Recharge%': 4, 'Elemental Mastery': 4,
+  'CRIT Rate%': 3, 'CRIT DMG%': 3,
+}
+
+/** Substat lines on a levelled 4★ or 5★ artifact */
+const FINAL_SUBSTAT_LINES = 4
+
+const SLOT_COUNT = 5
+
+/** Sets per artifact domain — a tagged slot wants one of the two */
+const SETS_PER_DOMAIN = 2
+
+/** Expected artifacts per domain run by rarity (World Level 8 averages) */
+export const DROPS_PER_RUN = { 5: 1.065, 4: 2.48 }
+
+export const ARTIFACT_DOMAIN_RESIN = 20
+
+// ──────────────────────────────────────────────────────────
+// Chances
+// ──────────────────────────────────────────────────────────
+
+/** `${mainStat}|${desired}|${count}` → chance, see substatChance() */
+const _substatCache = new Map()
+
+/**
+ * Chance that at least `count` of `desired` substats are among the four
+ * lines of an artifact with the given main stat (which can't also be a
+ * substat).
+ */
+function substatChance(mainStat, desired, count) {
+  if (count <= 0) return 1
+  const wanted = new Set(desired.filter(s => s !== mainStat))
+  if (wanted.size < count) return 0
+
+  const key = `${mainStat}|${[...wanted].sort().join(',')}|${count}`
+  if (_substatCache.has(key)) return _substatCache.get(key)
+
+  const pool = Object.entries(SUBSTAT_WEIGHTS).filter(([stat]) => stat !== mainStat)
+
+  // Walks every order the lines could be drawn in; at most 10 × 9 × 8 × 7 paths
+  const draw = (remaining, lines, hits) => {
+    if (hits >= count) return 1
+    if (lines === 0 || hits + lines < count) return 0
+    const total = remaining.reduce((sum, [, weight]) => sum + weight, 0)
+    let chance = 0
+    remaining.forEach(([stat, weight], i) => {
+      const rest = remaining.filter((_, j) => j !== i)
+      chance += (weight / total) * draw(rest, lines - 1, hits + (wanted.has(stat) ? 1 : 0))
+    })
+    return chance
+  }
+
+  const chance = draw(pool, FINAL_SUBSTAT_LINES, 0)
+  _substatCache.set(key, chance)
+  return chance
+}
+
+/**
+ * Chance that one drop of the slot's rarity from the right domain meets the
+ * slot's target.
+ * artifact: a goal's artifact slot. An untagged slot (off-piece) takes any
+ * set; a tagged one needs its set, one of the domain's two. An unset main
+ * stat takes any, with the substat odds averaged over the main stats.
+ */
+export function slotDropChance(artifact) {
+  const weights = MAIN_STAT_WEIGHTS[artifact.slot]
+  if (!weights) return 0
+
+  const mainStats = artifact.mainStat ? [artifact.mainStat] : Object.keys(weights)
+  let statChance = 0
+  for (const main of mainStats) {
+    statChance += ((weights[main] ?? 0) / 100) *
+      substatChance(main, artifact.desiredSubstats ?? [], artifact.targetSubstatCount ?? 0)
+  }
+
+  const setChance = artifact.set ? 1 / SETS_PER_DOMAIN : 1
+  return setChance * (1 / SLOT_COUNT) * statChance
+}
+
+/**
+ * Expected drops until every slot has dropped once, when each drop can meet
+ * at most one of them (a drop is a single slot). chances: per-drop chance of
+ * each slot. Inclusion–exclusion over the subsets of slots:
+ *   E = Σ over non-empty subsets S of (−1)^(|S|+1) / Σ(p in S)
+ */
+function expectedDropsForAll(chances) {
+  let expected = 0
+  for (let mask = 1; mask < 1 << chances.length; mask++) {
+    let sum = 0
+    let size = 0
+    chances.forEach((p, i) => {
+      if (mask & (1 << i)) { sum += p; size++ }
+    })
+    expected += (size % 2 === 1 ? 1 : -1) / sum
+  }
+  return expected
+}
+
+/** { runs, resin, days } for an expected number of drops of one rarity */
+function dropsToCost(drops, rarity, dailyResin) {
+  const runs = drops / DROPS_PER_RUN[rarity]
+  const resin = runs * ARTIFACT_DOMAIN_RESIN
+  return { runs, resin, days: dailyResin > 0 ? resin / dailyResin : null }
+}
+
+// ──────────────────────────────────────────────────────────
+// Estimates
+// ──────────────────────────────────────────────────────────
+
+/**
+ * Odds and cost of farming one slot, or null for rarities below 4★.
+ *
+ * Returns { chance, runs, resin, days, domain }:
+ *   chance — per domain drop of the slot's rarity (0–1)
+ *   runs, resin, days — expected until it drops; null when it can't be
+ *            farmed (a tagged set no domain drops, or an impossible target)
+ *   domain — name of the domain the slot's set comes from (null for
+ *            off-pieces, which drop anywhere)
+ */
+export function estimateSlot(artifact, dailyResin) {
+  const rarity = artifact.rarity ?? 5
+  if (!DROPS_PER_RUN[rarity]) return null
+
+  const chance = slotDropChance(artifact)
+  const domain = artifact.set ? getArtifactSetDomain(artifact.set)?.name ?? null : null
+  const farmable = chance > 0 && (!artifact.set || domain)
+  if (!farmable) return { chance, runs: null, resin: null, days: null, domain }
+  return { chance, ...dropsToCost(1 / chance, rarity, dailyResin), domain }
+}
+
+/**
+ * Expected cost of farming every slot of a goal that's still being levelled.
+ *
+ * Slots are grouped by the domain their set comes from (and by rarity, which
+ * drops at its own rate) and each group is farmed in turn; one run can fill
+ * any slot of its group. Off-pieces drop everywhere, so they ride along with
+ * the busiest group of their rarity. A 2 + 2 plan whose sets come from two
+ * domains is two groups, and their runs add up.
+ *
+ * Returns { runs, resin, days, unfarmable }, where unfarmable lists the
+ * slots with no estimate, below-4★ slots included (runs / resin / days
+ * exclude them; all null when no slot is left to farm).
+ */
+export function estimateGoalArtifacts(goal, dailyResin) {
+  const groups = {}
+  const offPieces = {}
+  const unfarmable = []
+
+  for (const artifact of goal.artifacts) {
+    if (artifact.currentLevel >= artifact.targetLevel) continue
+    const rarity = artifact.rarity ?? 5
+    const estimate = estimateSlot(artifact, dailyResin)
+    if (!estimate || estimate.runs === null) {
+      unfarmable.push(artifact.slot)
+    } else if (!artifact.set) {
+      if (!offPieces[rarity]) offPieces[rarity] = []
+      offPieces[rarity].push(estimate.chance)
+    } else {
+      const key = `${estimate.domain}|${rarity}`
+      if (!groups[key]) groups[key] = { rarity, chances: [] }
+      groups[key].chances.push(estimate.chance)
+    }
+  }
+
+  const chanceGroups = Object.values(groups).sort((a, b) => b.chances.length - a.chances.length)
+  for (const [rarity, chances] of Object.entries(offPieces)) {
+    const busiest = chanceGroups.find(g => g.rarity === Number(rarity))
+    if (busiest) busiest.chances.push(...chances)
+    else chanceGroups.push({ rarity: Number(rarity), chances })
+  }
+
+  if (chanceGroups.length === 0) return { runs: null, resin: null, days: null, unfarmable }
+  const runs = chanceGroups.reduce((sum, g) => sum + dropsToCost(expectedDropsForAll(g.chances), g.rarity, dailyResin).runs, 0)
+  const resin = runs * ARTIFACT_DOMAIN_RESIN
+  return { runs, resin, days: dailyResin > 0 ? resin / dailyResin : null, unfarmable }
+}
@@ -0,0 +1,152 @@
+/**
+ * artifactSets.js
+ *
+ * Artifact set plans: which set bonus a character is building towards and
+ * which slots should come from which set.
+ *
+ * A goal's artifactSetPlan is { type, sets }:
+ *
+ *   '4pc' — four pieces of sets[0]; the fifth slot is an off-piece
+ *   '2+2' — two pieces each of sets[0] and sets[1]; one off-piece
+ *   '2pc' — two pieces of sets[0]; the other three slots are free
+ *
+ * Each artifact slot is tagged with the set it should come from
+ * (artifact.set), or null for an off-piece from any set. The helpers below
+ * check a plan against those tags and work out, across the roster, which
+ * domains to farm and where characters compete for the same off-pieces.
+ *
+ * The main stats and substats a slot can be planned with live here too.
+ */
+
+import { getArtifactSetDomain } from './genshinData.js'
+
+export const SET_PLAN_TYPES = {
+  '4pc': { label: '4-piece',   pieces: [4] },
+  '2+2': { label: '2 + 2',     pieces: [2, 2] },
+  '2pc': { label: '2-piece',   pieces: [2] },
+}
+
+/** Main stats each slot can have (Flower and Plume have just the one) */
+export const ARTIFACT_MAIN_STATS = {
+  Flower:  ['HP'],
+  Plume:   ['ATK'],
+  Sands:   ['HP%', 'ATK%', 'DEF%', 'Elemental Mastery', 'Energy Recharge%'],
+  Goblet:  ['HP%', 'ATK%', 'DEF%', 'Elemental Mastery', 'Pyro DMG Bonus%', 'Hydro DMG Bonus%', 'Electro DMG Bonus%', 'Cryo DMG Bonus%', 'Anemo DMG Bonus%', 'Geo DMG Bonus%', 'Dendro DMG Bonus%', 'Physical DMG Bonus%'],
+  Circlet: ['HP%', 'ATK%', 'DEF%', 'Elemental Mastery', 'CRIT Rate%', 'CRIT DMG%', 'Healing Bonus%'],
+}
+
+/** Every possible substat (the same for every slot) */
+export const ARTIFACT_SUBSTATS = [
+  'HP', 'ATK', 'DEF',
+  'HP%', 'ATK%', 'DEF%',
+  'Elemental Mastery', 'Energy Recharge%',
+  'CRIT Rate%', 'CRIT DMG%',
+]
+
+/** A plan with no sets chosen yet */
+export function createSetPlan() {
+  return { type: '4pc', sets: [] }
+}
+
+/**
+ * Pieces each chosen set needs: [{ set, pieces }]. Sets not picked yet
+ * (and a second set left over from switching away from 2+2) are skipped.
+ */
+export function setPieceTargets(plan) {
+  const pieces = SET_PLAN_TYPES[plan?.type]?.pieces ?? []
+  return pieces
+    .map((count, i) => ({ set: plan.sets[i] ?? null, pieces: count }))
+    .filter(t => t.set)
+}
+
+/**
+ * Slot tags for a fresh plan, as { [slot]: set | null }. 4pc leaves the
+ * Goblet as the off-piece (it's the slot most often taken off-set for the
+ * right elemental bonus); 2+2 splits Flower / Plume and Sands / Circlet.
+ */
+export function defaultSlotSets(plan) {
+  const [a = null, b = null] = plan.sets
+  if (plan.type === '4pc') return { Flower: a, Plume: a, Sands: a, Goblet: null, Circlet: a }
+  if (plan.type === '2+2') return { Flower: a, Plume: a, Sands: b, Goblet: null, Circlet: b }
+  return { Flower: a, Plume: a, Sands: null, Goblet: null, Circlet: null }
+}
+
+/**
+ * Problems with one goal's plan as human-readable strings, e.g. a 4-piece
+ * set with only three slots tagged for it.
+ */
+export function checkSetPlan(goal) {
+  const issues = []
+  for (const { set, pieces } of setPieceTargets(goal.artifactSetPlan)) {
+    const tagged = goal.artifacts.filter(a => a.set === set).length
+    if (tagged < pieces) issues.push(`${set}: ${tagged} of ${pieces} slots tagged`)
+  }
+  return issues
+}
+
+/** Slots of a goal not tagged with one of its plan's sets (its off-pieces) */
+export function offSetSlots(goal) {
+  const planned = new Set(setPieceTargets(goal.artifactSetPlan).map(t => t.set))
+  if (planned.size === 0) return []
+  return goal.artifacts.filter(a => !planned.has(a.set))
+}
+
+/**
+ * Roster-wide farming view. characters: [{ name, goal }].
+ *
+ * Returns:
+ *   domains  — [{ name, region, sets, characters: [{ name, sets }] }], the
+ *              domains to farm, most characters first; `sets` on a
+ *              character is which of the domain's sets they want
+ *   unfarmed — [{ set, characters }] for sets no domain drops
+ */
+export function planArtifactDomains(characters) {
+  const domains = {}
+  const unfarmed = {}
+
+  for (const { name, goal } of characters) {
+    for (const { set } of setPieceTargets(goal.artifactSetPlan)) {
+      const domain = getArtifactSetDomain(set)
+      if (!domain) {
+        if (!unfarmed[set]) unfarmed[set] = { set, characters: [] }
+        if (!unfarmed[set].characters.includes(name)) unfarmed[set].characters.push(name)
+        continue
+      }
+
+      if (!domains[domain.name]) domains[domain.name] = { ...domain, characters: [] }
+      const entry = domains[domain.name]
+      let character = entry.characters.find(c => c.name === name)
+      if (!character) {
+        character = { name, sets: [] }
+        entry.characters.push(character)
+      }
+      if (!character.sets.includes(set)) character.sets.push(set)
+    }
+  }
+
+  return {
+    domains: Object.values(domains).sort((a, b) => b.characters.length - a.characters.length || a.name.localeCompare(b.name)),
+    unfarmed: Object.values(unfarmed),
+  }
+}
+
+/**
+ * Characters chasing the same off-piece: two or more characters whose
+ * off-set piece is the same slot with the same main stat (an unset main
+ * stat counts as its own group). characters: [{ name, goal }].
+ *
+ * Returns [{ slot, mainStat, characters }].
+ */
+export function findOffPieceConflicts(characters) {
+  const groups = {}
+  for (const { name, goal } of characters) {
+    // Off-pieces that are already done don't compete for drops
+    for (const artifact of offSetSlots(goal)) {
+      if (artifact.currentLevel >= artifact.targetLevel) continue
+      const key = `${artifact.slot}|${artifact.mainStat ?? ''}`
+      if (!groups[key]) groups[key] = { slot: artifact.slot, mainStat: artifact.mainStat ?? null, characters: [] }
+      groups[key].characters.push(name)
+    }
+  }
+  return Object.values(groups).filter(g => g.characters.length > 1)
+}
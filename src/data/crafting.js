@@ -0,0 +1,204 @@
+/**
+ * crafting.js
+ *
+ * Crafting Bench conversion chains for tiered materials.
+ *
+ * Ascension gems, talent books, weapon domain materials and common enemy
+ * drops all come in tiers where 3 of one tier craft 1 of the next, for a
+ * small Mora fee. genshin-db ships the bench recipes in its "crafts" folder;
+ * we walk those recipes to group every tier of a material into one family:
+ *
+ *   Teachings of Freedom → Guide to Freedom → Philosophies of Freedom
+ *
+ * resolveCrafting() then spends surplus lower tiers from the inventory on
+ * higher-tier deficits, so owning 30 spare Teachings counts toward the
+ * Guides you still need.
+ */
+
+import genshindb from 'genshin-db'
+
+// Bench categories whose recipes are "3 of tier N → 1 of tier N+1"
+const TIERED_CATEGORIES = new Set([
+  'Character Ascension Material',
+  'Character Talent Material',
+  'Weapon Ascension Material',
+  'Character and Weapon Enhancement Material',
+])
+
+// ──────────────────────────────────────────────────────────
+// Family index — built lazily on first lookup
+// ──────────────────────────────────────────────────────────
+
+/**
+ * Material name → { family, tier }, where family is
+ * { name, tiers: [{ name, craftCost, craftMora }] } with the lowest tier first.
+ */
+let _tierIndex = null
+
+/**
+ * Builds the family index from genshin-db's bench recipes.
+ * craftCost/craftMora on a tier are what it takes to craft ONE of that tier
+ * from the tier below (0 for the lowest tier).
+ */
+function buildFamilies() {
+  // Lower tier name → the recipe that upgrades it
+  const upgrades = {}
+  const craftedNames = new Set()
+
+  for (const name of genshindb.crafts('names', { matchCategories: true })) {
+    const craft = genshindb.crafts(name)
+    if (!craft || !TIERED_CATEGORIES.has(craft.filterText)) continue
+    if (craft.recipe?.length !== 1 || craft.resultCount !== 1) continue
+
+    const input = craft.recipe[0]
+    upgrades[input.name] = { name: craft.name, craftCost: input.count, craftMora: craft.moraCost ?? 0 }
+    craftedNames.add(craft.name)
+  }
+
+  _tierIndex = {}
+
+  // Every chain starts at an ingredient that isn't itself crafted
+  for (const root of Object.keys(upgrades)) {
+    if (craftedNames.has(root)) continue
+
+    const tiers = [{ name: root, craftCost: 0, craftMora: 0 }]
+    let next = upgrades[root]
+    while (next) {
+      tiers.push({ ...next })
+      next = upgrades[next.name]
+    }
+
+    // Named after the top tier, which is what the UI shows collapsed
+    const family = { name: tiers[tiers.length - 1].name, tiers }
+    tiers.forEach((t, i) => { _tierIndex[t.name] = { family, tier: i } })
+  }
+}
+
+/**
+ * Returns { family, tier } for a tiered material, or null if the material
+ * isn't part of a crafting chain (Mora, local specialties, boss drops, …).
+ */
+export function getMaterialFamily(materialName) {
+  if (!_tierIndex) buildFamilies()
+  return _tierIndex[materialName] ?? null
+}
+
+// ──────────────────────────────────────────────────────────
+// Resolver
+// ──────────────────────────────────────────────────────────
+
+/**
+ * Resolves one family's needs against the inventory.
+ *
+ * Works in three passes:
+ *  1. Top-down: how many of each tier must come from crafting, assuming
+ *     every higher-tier shortfall is crafted from the tier below.
+ *  2. Bottom-up: starting at the lowest tier, cover that tier's own need
+ *     first, then craft whatever surplus is left into the next tier (but
+ *     never more than pass 1 says that tier is short).
+ *  3. Top-down again: drop crafts that pass 2 made but that can't be used,
+ *     e.g. 2 Guides crafted toward a Philosophies that needs 3.
+ *
+ * Returns per-tier { name, need, owned, used, crafted, missing } where
+ * `used` is how many owned items are consumed (directly or as crafting
+ * input), `crafted` is how many of that tier get crafted, and `missing` is
+ * what's still short after crafting, in that tier's own units.
+ */
+function resolveFamily(family, needByName, inventory) {
+  const n = family.tiers.length
+  const cost  = family.tiers.map(t => t.craftCost)
+  const need  = family.tiers.map(t => needByName[t.name] ?? 0)
+  const owned = family.tiers.map(t => inventory[t.name] ?? 0)
+
+  // Pass 1: shortfall of each tier that must come from the tier below
+  const short = new Array(n).fill(0)
+  for (let t = n - 1; t >= 0; t--) {
+    const demandFromAbove = t + 1 < n ? cost[t + 1] * short[t + 1] : 0
+    short[t] = Math.max(0, need[t] + demandFromAbove - owned[t])
+  }
+
+  // Pass 2: craft upward from the lowest tier
+  const crafted = new Array(n).fill(0)
+  for (let t = 0; t + 1 < n; t++) {
+    const left = Math.max(0, owned[t] + crafted[t] - need[t])
+    crafted[t + 1] = Math.min(Math.floor(left / cost[t + 1]), short[t + 1])
+  }
+
+  // Pass 3: keep only crafts the tier actually consumes
+  for (let t = n - 1; t >= 1; t--) {
+    const demand = need[t] + (t + 1 < n ? cost[t + 1] * crafted[t + 1] : 0)
+    crafted[t] = Math.min(crafted[t], Math.max(0, demand - owned[t]))
+  }
+
+  const tiers = []
+  let craftingMora = 0
+  for (let t = 0; t < n; t++) {
+    const available = owned[t] + crafted[t]
+    const craftInput = t + 1 < n ? cost[t + 1] * crafted[t + 1] : 0
+    const consumed = Math.min(available, need[t]) + craftInput
+    craftingMora += crafted[t] * family.tiers[t].craftMora
+
+    tiers.push({
+      name:    family.tiers[t].name,
+      need:    need[t],
+      owned:   owned[t],
+      used:    Math.max(0, consumed - crafted[t]),
+      crafted: crafted[t],
+      missing: Math.max(0, need[t] - available),
+    })
+  }
+
+  return {
+    name: family.name,
+    tiers,
+    crafted: crafted.reduce((sum, c) => sum + c, 0),
+    craftingMora,
+  }
+}
+
+/**
+ * Crafting-aware view of a material list.
+ *
+ * costs:     array of { name, count } (e.g. from mergeCosts)
+ * inventory: { [materialName]: count }
+ *
+ * Returns:
+ *   families     — one entry per tiered family that appears in costs,
+ *                  see resolveFamily() for the shape
+ *   others       — non-tiered materials as { name, count, owned, missing };
+ *                  the Mora entry includes the crafting fee
+ *   crafted      — total number of crafts across all families
+ *   craftingMora — Mora spent at the Crafting Bench
+ */
+export function resolveCrafting(costs, inventory) {
+  const needByName = {}
+  const familiesUsed = new Set()
+  const others = []
+
+  for (const item of costs) {
+    const entry = getMaterialFamily(item.name)
+    if (entry) {
+      needByName[item.name] = (needByName[item.name] ?? 0) + item.count
+      familiesUsed.add(entry.family)
+    } else {
+      others.push({ name: item.name, count: item.count })
+    }
+  }
+
+  const families = [...familiesUsed].map(f => resolveFamily(f, needByName, inventory))
+  const craftingMora = families.reduce((sum, f) => sum + f.craftingMora, 0)
+  const crafted = families.reduce((sum, f) => sum + f.crafted, 0)
+
+  if (craftingMora > 0) {
+    const mora = others.find(o => o.name === 'Mora')
+    if (mora) mora.count += craftingMora
+    else others.unshift({ name: 'Mora', count: craftingMora })
+  }
+
+  for (const o of others) {
+    o.owned = inventory[o.name] ?? 0
+    o.missing = Math.max(0, o.count - o.owned)
+  }
+
+  return { families, others, crafted, craftingMora }
+}
@@ -0,0 +1,152 @@
+/**
+ * enkaImport.js
+ *
+ * Reads a saved Enka.Network player dump (the JSON the showcase API returns
+ * for a UID, e.g. saved from https://enka.network/api/uid/<uid>) into plain
+ * per-character data the training guide understands. No network access —
+ * the user loads the file themselves.
+ *
+ * Only the characters in the in-game showcase are in a dump. Everything is
+ * keyed by game ids, which are mapped to names through genshinData.js:
+ *
+ *   avatarInfoList[i]
+ *     avatarId                 → character name
+ *     propMap["4001"].val      → level
+ *     propMap["1002"].val      → ascension phase (turns 80 into 80/90)
+ *     talentIdList             → one id per unlocked constellation
+ *     skillDepotId             → Traveler element
+ *     skillLevelMap            → base talent levels by skill id
+ *     equipList[].weapon       → weapon level / phase / refinement
+ *     equipList[].reliquary    → artifact level (+1, so +20 is 21)
+ *     equipList[].flat.rankLevel → artifact rarity
+ */
+
+import { getCharacterNameById, getWeaponNameById, getTravelerElementByDepotId, TRAVELER } from './genshinData.js'
+import { levelFromPhase, isValidLevel, artifactMilestone, ARTIFACT_RARITIES } from './levelTables.js'
+
+// ──────────────────────────────────────────────────────────
+// Game id tables
+// ──────────────────────────────────────────────────────────
+
+const PROP_LEVEL = '4001'
+const PROP_PHASE = '1002'
+
+/** Artifact equip type → slot name used in goals */
+const EQUIP_SLOTS = {
+  EQUIP_BRACER:   'Flower',
+  EQUIP_NECKLACE: 'Plume',
+  EQUIP_SHOES:    'Sands',
+  EQUIP_RING:     'Goblet',
+  EQUIP_DRESS:    'Circlet',
+}
+
+/**
+ * Skill ids are handed out in Normal Attack / Skill / Burst order for almost
+ * every character, so skillLevelMap sorted by id gives the talents in order
+ * (an alternate sprint sits between skill and burst and is skipped).
+ * Characters whose ids don't follow that are listed here.
+ */
+const SKILL_ORDER_OVERRIDES = {
+  10000002: [10024, 10018, 10019],  // Kamisato Ayaka
+}
+
+// ──────────────────────────────────────────────────────────
+// Parser
+// ──────────────────────────────────────────────────────────
+
+function propValue(avatar, prop) {
+  const p = avatar.propMap?.[prop]
+  return p ? Number(p.val ?? p.ival) || 0 : 0
+}
+
+/** { normalAttack, skill, burst } base levels, or null if the map is unusable */
+function parseTalents(avatar) {
+  const levels = avatar.skillLevelMap ?? {}
+  const order = SKILL_ORDER_OVERRIDES[avatar.avatarId]
+    ?? Object.keys(levels).map(Number).sort((a, b) => a - b)
+  if (order.length < 3) return null
+
+  const [normalAttack, skill, burst] = [order[0], order[1], order[order.length - 1]].map(id => levels[id])
+  if (![normalAttack, skill, burst].every(lvl => Number.isInteger(lvl) && lvl >= 1 && lvl <= 10)) return null
+  return { normalAttack, skill, burst }
+}
+
+function parseWeapon(equip) {
+  const name = getWeaponNameById(equip.itemId)
+  if (!name) return null
+  const level = levelFromPhase(equip.weapon.level ?? 1, equip.weapon.promoteLevel ?? 0)
+  const affix = Object.values(equip.weapon.affixMap ?? {})[0] ?? 0
+  return { name, level, refinement: affix + 1 }
+}
+
+/**
+ * Parses a dump object (already JSON.parse'd).
+ *
+ * Returns:
+ *   characters — [{ name, element, level, constellation, talents, weapon, artifacts }]
+ *                element:   Traveler element, null for everyone else
+ *                talents:   { normalAttack, skill, burst } base levels, or null
+ *                weapon:    { name, level, refinement }, or null
+ *                artifacts: { [slot]: { level, rarity } } for the equipped pieces
+ *   skipped    — messages for avatars that couldn't be read
+ *   errors     — non-empty when the file isn't a player dump at all
+ */
+export function parseEnkaData(data) {
+  const result = { characters: [], skipped: [], errors: [] }
+
+  if (typeof data !== 'object' || data === null || !Array.isArray(data.avatarInfoList)) {
+    result.errors.push(
+      data?.playerInfo
+        ? 'This dump has no character details — turn on "Show Character Details" in the in-game showcase and save it again'
+        : 'Not an Enka.Network player dump (no avatarInfoList)'
+    )
+    return result
+  }
+
+  for (const avatar of data.avatarInfoList) {
+    const name = getCharacterNameById(avatar?.avatarId)
+    if (!name) {
+      result.skipped.push(`Unknown character id ${JSON.stringify(avatar?.avatarId)}`)
+      continue
+    }
+
+    const level = levelFromPhase(propValue(avatar, PROP_LEVEL), propValue(avatar, PROP_PHASE))
+    if (!isValidLevel(level)) {
+      result.skipped.push(`${name}: unreadable level`)
+      continue
+    }
+
+    const element = name === TRAVELER ? getTravelerElementByDepotId(avatar.skillDepotId) : null
+    if (name === TRAVELER && !element) {
+      result.skipped.push(`${name}: unknown element (skill depot ${avatar.skillDepotId})`)
+      continue
+    }
+
+    let weapon = null
+    const artifacts = {}
+    for (const equip of avatar.equipList ?? []) {
+      if (equip.weapon) {
+        weapon = parseWeapon(equip)
+        if (!weapon) result.skipped.push(`${name}: unknown weapon id ${equip.itemId} (weapon left as is)`)
+      } else if (equip.reliquary && EQUIP_SLOTS[equip.flat?.equipType]) {
+        const rarity = ARTIFACT_RARITIES.includes(equip.flat.rankLevel) ? equip.flat.rankLevel : 5
+        artifacts[EQUIP_SLOTS[equip.flat.equipType]] = { level: artifactMilestone((equip.reliquary.level ?? 1) - 1, rarity), rarity }
+      }
+    }
+
+    const talents = parseTalents(avatar)
+    if (!talents) result.skipped.push(`${name}: talent levels unreadable (talents left as is)`)
+
+    result.characters.push({
+      name,
+      element,
+      level,
+      constellation: Math.min(6, avatar.talentIdList?.length ?? 0),
+      talents,
+      weapon,
+      artifacts,
+    })
+  }
+
+  return result
+}
@@ -0,0 +1,189 @@
+/**
+ * expOptimiser.js
+ *
+ * Picks which EXP books / enhancement ores to feed for a level-up.
+ *
+ * levelTables.js only knows how much EXP a level range costs. Rounding that
+ * up to Hero's Wits (or Mystic Enhancement Ores) overstates what's needed
+ * when the bag also holds Adventurer's Experience, Wanderer's Advice or the
+ * lower ores. Given the inventory, optimiseExpMaterials() finds the mix that
+ * reaches the EXP target with the least overflow, and only asks for more of
+ * the top-tier item when the bag can't cover the target at all.
+ *
+ * Mora is charged per EXP fed (overflow included), so the least-overflow mix
+ * is also the cheapest.
+ */
+
+// ──────────────────────────────────────────────────────────
+// EXP materials
+// ──────────────────────────────────────────────────────────
+
+/**
+ * Character EXP books, highest tier first.
+ * Feeding costs 1 Mora per 5 EXP (a Hero's Wit costs 4,000 Mora).
+ */
+export const CHARACTER_EXP_MATERIALS = {
+  moraPerExp: 0.2,
+  items: [
+    { name: "Hero's Wit",              exp: 20_000 },
+    { name: "Adventurer's Experience", exp:  5_000 },
+    { name: "Wanderer's Advice",       exp:  1_000 },
+  ],
+}
+
+/**
+ * Weapon enhancement ores, highest tier first.
+ * Feeding costs 1 Mora per 10 EXP (a Mystic Enhancement Ore costs 1,000 Mora).
+ */
+export const WEAPON_EXP_MATERIALS = {
+  moraPerExp: 0.1,
+  items: [
+    { name: 'Mystic Enhancement Ore', exp: 10_000 },
+    { name: 'Fine Enhancement Ore',   exp:  2_000 },
+    { name: 'Enhancement Ore',        exp:    400 },
+  ],
+}
+
+/**
+ * Placeholder material names used in raw cost lists for "this much EXP",
+ * before optimiseExpMaterials() turns them into books / ores.
+ */
+export const CHARACTER_EXP = 'Character EXP'
+export const WEAPON_EXP    = 'Weapon EXP'
+
+// ──────────────────────────────────────────────────────────
+// Optimiser
+// ──────────────────────────────────────────────────────────
+
+/**
+ * Smallest-overflow subset of the given stock that reaches `target` units.
+ * Bounded knapsack over EXP "units" (the lowest tier's EXP — every tier is
+ * a multiple of it). Returns a use count per item, or null if the stock
+ * can't reach the target.
+ */
+function leastOverflowMix(target, weights, stock) {
+  if (target <= 0) return weights.map(() => 0)
+
+  // A minimal mix never overshoots by a whole top-tier item
+  const limit = target + weights[0]
+  const reached = new Uint8Array(limit + 1)
+  const choice  = new Int8Array(limit + 1).fill(-1)
+  const uses    = new Int32Array(limit + 1)
+  reached[0] = 1
+
+  weights.forEach((w, k) => {
+    uses.fill(0)
+    for (let s = w; s <= limit; s++) {
+      if (reached[s] || !reached[s - w] || uses[s - w] >= stock[k]) continue
+      reached[s] = 1
+      uses[s] = uses[s - w] + 1
+      choice[s] = k
+    }
+  })
+
+  let best = target
+  while (best <= limit && !reached[best]) best++
+  if (best > limit) return null
+
+  const counts = weights.map(() => 0)
+  for (let s = best; s > 0; s -= weights[choice[s]]) counts[choice[s]]++
+  return counts
+}
+
+/**
+ * Chooses the books / ores to feed for `expNeeded` EXP.
+ *
+ * materials: CHARACTER_EXP_MATERIALS or WEAPON_EXP_MATERIALS
+ * inventory: { [materialName]: count }
+ *
+ * Returns:
+ *   items    — [{ name, exp, count, owned, missing }] highest tier first,
+ *              where count is how many to feed and missing how many of
+ *              those aren't in the bag (only ever the top tier)
+ *   fedExp   — total EXP of everything fed
+ *   overflow — EXP fed beyond what the level-up needs
+ *   mora     — Mora charged for feeding
+ */
+export function optimiseExpMaterials(expNeeded, materials, inventory = {}) {
+  const { items, moraPerExp } = materials
+  const unit = items[items.length - 1].exp
+  const weights = items.map(i => i.exp / unit)
+  const target = Math.ceil(Math.max(0, expNeeded) / unit)
+
+  // Stock beyond what the target could ever use doesn't change the answer
+  const stock = items.map((i, k) => Math.min(inventory[i.name] ?? 0, Math.ceil(target / weights[k])))
+  const stockUnits = stock.reduce((sum, n, k) => sum + n * weights[k], 0)
+
+  // When the bag falls short, the gap is filled with top-tier items first;
+  // the bag then only has to cover what's left
+  const extraTop = stockUnits < target ? Math.ceil((target - stockUnits) / weights[0]) : 0
+  const counts = leastOverflowMix(target - extraTop * weights[0], weights, stock)
+  counts[0] += extraTop
+
+  const fedExp = counts.reduce((sum, n, k) => sum + n * items[k].exp, 0)
+
+  return {
+    items: items.map((item, k) => {
+      const owned = inventory[item.name] ?? 0
+      return { name: item.name, exp: item.exp, count: counts[k], owned, missing: Math.max(0, counts[k] - owned) }
+    }),
+    fedExp,
+    overflow: Math.max(0, fedExp - expNeeded),
+    mora: Math.round(fedExp * moraPerExp),
+  }
+}
+
+/**
+ * Replaces the CHARACTER_EXP / WEAPON_EXP placeholders in a cost list with
+ * the optimised books / ores and adds their feeding Mora. Other entries are
+ * passed through unchanged. Returns a new { name, count } array.
+ */
+export function expandExpCosts(costs, inventory = {}) {
+  const result = []
+  let extraMora = 0
+
+  const expand = (expNeeded, materials) => {
+    const plan = optimiseExpMaterials(expNeeded, materials, inventory)
+    extraMora += plan.mora
+    for (const item of plan.items) {
+      if (item.count > 0) result.push({ name: item.name, count: item.count })
+    }
+  }
+
+  for (const c of costs) {
+    if (c.name === CHARACTER_EXP) expand(c.count, CHARACTER_EXP_MATERIALS)
+    else if (c.name === WEAPON_EXP) expand(c.count, WEAPON_EXP_MATERIALS)
+    else result.push({ ...c })
+  }
+
+  if (extraMora > 0) {
+    const mora = result.find(r => r.name === 'Mora')
+    if (mora) mora.count += extraMora
+    else result.unshift({ name: 'Mora', count: extraMora })
+  }
+
+  return result
+}
+
+/** Names of every EXP book and ore */
+const EXP_ITEM_NAMES = new Set([...CHARACTER_EXP_MATERIALS.items, ...WEAPON_EXP_MATERIALS.items].map(i => i.name))
+
+/**
+ * expandExpCosts() for several cost lists — one per goal — summed into one
+ * { name, count } array. Each list's EXP is optimised on its own: EXP left
+ * over from one character's (or weapon's) levelling can't go towards
+ * another's. Lists are expanded in order, and the books / ores one takes
+ * from the inventory aren't there for the next.
+ */
+export function expandEachExpCosts(costLists, inventory = {}) {
+  const bag = { ...inventory }
+  const totals = new Map()
+
+  for (const costs of costLists) {
+    for (const c of expandExpCosts(costs, bag)) {
+      totals.set(c.name, (totals.get(c.name) ?? 0) + c.count)
+      if (EXP_ITEM_NAMES.has(c.name)) bag[c.name] = Math.max(0, (bag[c.name] ?? 0) - c.count)
+    }
+  }
+  return [...totals].map(([name, count]) => ({ name, count }))
+}
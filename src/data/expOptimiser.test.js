@@ -0,0 +1,34 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { expandExpCosts, expandEachExpCosts, CHARACTER_EXP, WEAPON_EXP } from './expOptimiser.js'
+
+const count = (costs, name) => costs.find(c => c.name === name)?.count ?? 0
+
+test('each goal\'s EXP is rounded up on its own', () => {
+  const goals = [[{ name: CHARACTER_EXP, count: 5_000 }], [{ name: CHARACTER_EXP, count: 5_000 }]]
+
+  // Summed first, two 5,000 EXP level-ups would share one Hero's Wit
+  assert.equal(count(expandExpCosts(goals.flat()), "Hero's Wit"), 1)
+
+  const costs = expandEachExpCosts(goals)
+  assert.equal(count(costs, "Hero's Wit"), 2)
+  assert.equal(count(costs, 'Mora'), 8_000)
+})
+
+test('books taken by one goal aren\'t there for the next', () => {
+  const goals = [[{ name: CHARACTER_EXP, count: 5_000 }], [{ name: CHARACTER_EXP, count: 5_000 }]]
+  const costs = expandEachExpCosts(goals, { "Adventurer's Experience": 1 })
+  assert.equal(count(costs, "Adventurer's Experience"), 1)
+  assert.equal(count(costs, "Hero's Wit"), 1)
+  assert.equal(count(costs, 'Mora'), 1_000 + 4_000)
+})
+
+test('weapon EXP and other materials are summed across goals', () => {
+  const costs = expandEachExpCosts([
+    [{ name: 'Mora', count: 100 }, { name: WEAPON_EXP, count: 1_000 }],
+    [{ name: 'Mora', count: 50 }, { name: WEAPON_EXP, count: 1_000 }, { name: 'Philosophies of Freedom', count: 3 }],
+  ])
+  assert.equal(count(costs, 'Mystic Enhancement Ore'), 2)
+  assert.equal(count(costs, 'Mora'), 150 + 2_000)
+  assert.equal(count(costs, 'Philosophies of Freedom'), 3)
+})
@@ -0,0 +1,496 @@
+/**
+ * farmingPlanner.js
+ *
+ * Turns "what's still missing" into a day-by-day resin schedule.
+ *
+ * Every missing material is mapped to where it's farmed:
+ *   - Talent books        → Domain of Mastery   (open on fixed weekdays)
+ *   - Weapon materials    → Domain of Forgery   (open on fixed weekdays)
+ *   - Boss materials/gems → normal boss         (40 resin)
+ *   - Talent boss drops   → weekly boss         (30 resin for the first
+ *                                                  three a week, then 60)
+ *   - Mora / EXP books    → Ley Line Outflow    (20 resin)
+ *   - Crowns of Insight   → nowhere: they come from events and Reputation,
+ *     so only the inventory counts — listed separately
+ *   - Everything else (local specialties, common enemy drops, ores)
+ *     is open-world farming and costs no resin — listed separately.
+ *
+ * Each weekly boss gives rewards once a week and drops three talent
+ * materials at random. Dream Solvent turns one of a boss's drops into
+ * another of the same boss, so spare drops count toward the ones still
+ * short for as long as the solvent lasts.
+ *
+ * Drop rates are approximate World Level 8 community averages; the plan is
+ * an estimate, not a guarantee.
+ */
+
+import { getMaterial, getBossForMaterial, bossDropsMaterial } from './genshinData.js'
+import { getMaterialFamily } from './crafting.js'
+
+// ──────────────────────────────────────────────────────────
+// Constants
+// ──────────────────────────────────────────────────────────
+
+/** Weekday names indexed like Date.getDay() */
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+
+/** Natural resin regeneration: 1 per 8 minutes = 180 per day */
+export const DEFAULT_DAILY_RESIN = 180
+
+/** Most resin the game stores; regeneration stops there */
+const RESIN_CAP = 200
+
+const DOMAIN_RESIN      = 20
+const NORMAL_BOSS_RESIN = 40
+const WEEKLY_BOSS_RESIN = 60
+const DISCOUNTED_WEEKLY_BOSS_RESIN = 30
+
+/** Weekly boss runs per week at the discounted resin cost, across all bosses */
+export const DISCOUNTED_WEEKLY_RUNS = 3
+const LEY_LINE_RESIN    = 20
+
+/** Expected drops per run, lowest tier first (World Level 8 averages) */
+const TALENT_DOMAIN_DROPS = [2.2, 1.97, 0.23]
+const WEAPON_DOMAIN_DROPS = [2.2, 2.04, 0.28, 0.07]
+const BOSS_GEM_DROPS      = [0, 1.8, 0.6, 0.1]
+
+/** Normal boss materials per run when genshin-db doesn't list a count */
+const BOSS_MATERIAL_DROPS = 2.5556
+
+/** Talent materials each weekly boss drops (one is picked per item) */
+const WEEKLY_BOSS_DROP_KINDS = 3
+
+/** Weekly boss materials per run, spread evenly across the boss's three drops */
+const WEEKLY_BOSS_DROPS = 2.2 / WEEKLY_BOSS_DROP_KINDS
+
+/** Dream Solvent per weekly boss run (genshin-db's reward preview lists 0.33) */
+const DREAM_SOLVENT_DROPS = 0.33
+
+export const DREAM_SOLVENT = 'Dream Solvent'
+
+/** Talent materials with no resin source — only the inventory counts */
+export const CROWN_OF_INSIGHT = 'Crown of Insight'
+const LIMITED_MATERIALS = new Set([CROWN_OF_INSIGHT])
+
+/** Ley Line Outflow rewards per run */
+const LEY_LINE_MORA = 60_000
+const LEY_LINE_HERO_WITS = 5.5  // in Hero's Wit equivalents (20,000 EXP each)
+
+/** Character EXP books as Hero's Wit equivalents */
+const EXP_BOOK_VALUE = {
+  "Hero's Wit":              1,
+  "Adventurer's Experience": 0.25,
+  "Wanderer's Advice":       0.05,
+}
+
+/** Activity types in the order they're scheduled within a day */
+const ACTIVITY_ORDER = ['talentDomain', 'weaponDomain', 'weeklyBoss', 'normalBoss', 'leyLineExp', 'leyLineMora']
+
+/** Weekly bosses reset on Monday and give rewards once per week each */
+const WEEKLY_RESET_DAY = 'Monday'
+
+/** Give up after a year — anything left is reported as unfinished */
+const MAX_DAYS = 365
+
+// ──────────────────────────────────────────────────────────
+// Source mapping
+// ──────────────────────────────────────────────────────────
+
+/**
+ * Converts tiered drop rates into units of the family's lowest tier,
+ * which is how family needs are counted.
+ */
+function toBaseUnits(tierDrops, family) {
+  let multiplier = 1
+  let total = 0
+  family.tiers.forEach((tier, i) => {
+    if (i > 0) multiplier *= tier.craftCost
+    total += (tierDrops[i] ?? 0) * multiplier
+  })
+  return total
+}
+
+/**
+ * Missing amount of a resolved family (an entry of resolveCrafting().families),
+ * expressed in lowest-tier units.
+ */
+function familyBaseDeficit(resolved) {
+  const { family } = getMaterialFamily(resolved.name)
+  let multiplier = 1
+  let total = 0
+  resolved.tiers.forEach((tier, i) => {
+    if (i > 0) multiplier *= family.tiers[i].craftCost
+    total += tier.missing * multiplier
+  })
+  return total
+}
+
+/**
+ * Finds where a family is farmed. Returns an activity template
+ * { id, type, label, resin, days, rate } or null for open-world families.
+ *
+ * bossIds lists bosses already being farmed for their own material; a gem
+ * family dropped by one of them is farmed there instead of at another boss.
+ */
+function getFamilySource(familyName, bossIds = []) {
+  const { family } = getMaterialFamily(familyName)
+
+  // Domain materials carry their domain and weekday schedule on every tier
+  const domainTier = family.tiers.map(t => getMaterial(t.name)).find(m => m?.dropDomainName)
+  if (domainTier) {
+    const isTalent = domainTier.typeText === 'Character Talent Material'
+    return {
+      id:    `domain:${family.name}`,
+      type:  isTalent ? 'talentDomain' : 'weaponDomain',
+      label: domainTier.dropDomainName,
+      resin: DOMAIN_RESIN,
+      days:  domainTier.daysOfWeek ?? null,
+      rate:  toBaseUnits(isTalent ? TALENT_DOMAIN_DROPS : WEAPON_DOMAIN_DROPS, family),
+    }
+  }
+
+  // Ascension gems come from bosses alongside their boss material
+  const topName = family.tiers[family.tiers.length - 1].name
+  const sharedBoss = bossIds.find(id => bossDropsMaterial(id.slice('boss:'.length), topName))
+  const boss = sharedBoss
+    ? { name: sharedBoss.slice('boss:'.length), weekly: getBossForMaterial(topName)?.weekly ?? false }
+    : getBossForMaterial(topName)
+  if (boss) {
+    return {
+      id:    `boss:${boss.name}`,
+      type:  boss.weekly ? 'weeklyBoss' : 'normalBoss',
+      label: boss.name,
+      resin: boss.weekly ? WEEKLY_BOSS_RESIN : NORMAL_BOSS_RESIN,
+      days:  null,
+      rate:  toBaseUnits(BOSS_GEM_DROPS, family),
+    }
+  }
+
+  return null
+}
+
+/**
+ * Finds where a non-tiered material is farmed, or null for open-world
+ * materials (local specialties, enhancement ores, …).
+ */
+function getMaterialSource(materialName) {
+  if (materialName === 'Mora') {
+    return { id: 'leyline:mora', type: 'leyLineMora', label: 'Blossom of Wealth', resin: LEY_LINE_RESIN, days: null, rate: LEY_LINE_MORA }
+  }
+  if (EXP_BOOK_VALUE[materialName]) {
+    return { id: 'leyline:exp', type: 'leyLineExp', label: 'Blossom of Revelation', resin: LEY_LINE_RESIN, days: null, rate: LEY_LINE_HERO_WITS }
+  }
+
+  const boss = getBossForMaterial(materialName)
+  if (boss) {
+    return {
+      id:    `boss:${boss.name}`,
+      type:  boss.weekly ? 'weeklyBoss' : 'normalBoss',
+      label: boss.name,
+      resin: boss.weekly ? WEEKLY_BOSS_RESIN : NORMAL_BOSS_RESIN,
+      days:  null,
+      rate:  boss.weekly ? WEEKLY_BOSS_DROPS : BOSS_MATERIAL_DROPS,
+      // A weekly boss's own drops can be turned into each other with Dream Solvent
+      convertible: boss.weekly,
+    }
+  }
+
+  return null
+}
+
+// ──────────────────────────────────────────────────────────
+// Planner
+// ──────────────────────────────────────────────────────────
+
+/**
+ * Builds the farming activities for a crafting plan (see resolveCrafting()).
+ *
+ * Returns:
+ *   activities — [{ id, type, label, resin, days, needs: { [key]: { label, amount, rate, convertible } } }]
+ *                where amount is what's still missing, rate is the
+ *                expected drops of that key per run, and convertible marks
+ *                a weekly boss's own drops (see the top of this file)
+ *   openWorld  — [{ name, missing }] materials that cost no resin
+ *   limited    — [{ name, missing }] materials that can't be farmed at all
+ */
+export function getFarmingActivities(craftingPlan) {
+  const activities = {}
+  const openWorld = []
+  const limited = []
+
+  function addNeed(source, key, label, amount) {
+    if (!activities[source.id]) {
+      const { rate, convertible, ...activity } = source
+      activities[source.id] = { ...activity, needs: {} }
+    }
+    const needs = activities[source.id].needs
+    if (needs[key]) {
+      needs[key].amount += amount
+    } else {
+      needs[key] = { label, amount, rate: source.rate, convertible: source.convertible ?? false }
+    }
+  }
+
+  // Plain materials first, so gem families can join a boss already being farmed
+  for (const item of craftingPlan.others) {
+    if (item.missing <= 0) continue
+    if (LIMITED_MATERIALS.has(item.name)) {
+      limited.push({ name: item.name, missing: item.missing })
+      continue
+    }
+    const source = getMaterialSource(item.name)
+    if (!source) {
+      openWorld.push({ name: item.name, missing: item.missing })
+    } else if (source.type === 'leyLineExp') {
+      // All EXP books share one need, counted in Hero's Wits
+      addNeed(source, 'exp', "Hero's Wit (equivalent)", item.missing * EXP_BOOK_VALUE[item.name])
+    } else {
+      addNeed(source, item.name, item.name, item.missing)
+    }
+  }
+
+  for (const family of craftingPlan.families) {
+    const deficit = familyBaseDeficit(family)
+    if (deficit <= 0) continue
+    const bossIds = Object.keys(activities).filter(id => id.startsWith('boss:'))
+    const source = getFamilySource(family.name, bossIds)
+    const baseName = family.tiers[0].name
+    if (source) {
+      addNeed(source, family.name, `${family.name} (as ${baseName})`, deficit)
+    } else {
+      // Open-world drops are farmed tier by tier, so list each tier's own deficit
+      for (const tier of family.tiers) {
+        if (tier.missing > 0) openWorld.push({ name: tier.name, missing: tier.missing })
+      }
+    }
+  }
+
+  return { activities: Object.values(activities), openWorld, limited }
+}
+
+/**
+ * Runs still required for an activity to cover every need it serves.
+ *
+ * For a weekly boss, convert holds what Dream Solvent can do for it:
+ * { solvent, spare } — solvent on hand and drops of this boss already
+ * farmed beyond their need. It's the fewest runs after which the drops
+ * still short can all be converted from spare ones, counting the solvent
+ * and spare drops those runs bring.
+ */
+function runsNeeded(activity, remaining, convert = null) {
+  let runs = 0
+  const convertible = []
+  for (const [key, need] of Object.entries(activity.needs)) {
+    if (!(remaining[key] > 0)) continue
+    if (convert && need.convertible) convertible.push(remaining[key])
+    else runs = Math.max(runs, Math.ceil(remaining[key] / need.rate))
+  }
+  if (convertible.length === 0) return runs
+
+  const unneededKinds = WEEKLY_BOSS_DROP_KINDS - Object.values(activity.needs).filter(n => n.convertible).length
+  const withoutSolvent = Math.ceil(Math.max(...convertible) / WEEKLY_BOSS_DROPS)
+  for (let n = Math.max(runs, 1); n < withoutSolvent; n++) {
+    const farmed = n * WEEKLY_BOSS_DROPS
+    const short = convertible.reduce((sum, r) => sum + Math.max(0, r - farmed), 0)
+    const spare = convert.spare + farmed * unneededKinds + convertible.reduce((sum, r) => sum + Math.max(0, farmed - r), 0)
+    if (short <= Math.min(spare, convert.solvent + n * DREAM_SOLVENT_DROPS)) return n
+  }
+  return Math.max(runs, withoutSolvent)
+}
+
+/**
+ * Books one weekly boss run: its drops, the Dream Solvent it gives, and
+ * turning spare drops into ones still short while the solvent lasts.
+ * Updates remaining, spare (per boss id) and the weekly state in place.
+ */
+function farmWeeklyBoss(activity, remaining, spare, weekly) {
+  const needs = Object.entries(activity.needs).filter(([, need]) => need.convertible)
+  weekly.solvent += DREAM_SOLVENT_DROPS
+  spare[activity.id] = (spare[activity.id] ?? 0) + WEEKLY_BOSS_DROPS * (WEEKLY_BOSS_DROP_KINDS - needs.length)
+
+  for (const [key] of needs) {
+    remaining[key] -= WEEKLY_BOSS_DROPS
+    if (remaining[key] < 0) {
+      spare[activity.id] += -remaining[key]
+      remaining[key] = 0
+    }
+  }
+  for (const [key] of needs) {
+    const converted = Math.min(remaining[key], spare[activity.id], weekly.solvent)
+    if (converted <= 0) continue
+    remaining[key] -= converted
+    spare[activity.id] -= converted
+    weekly.solvent -= converted
+    weekly.solventUsed += converted
+  }
+
+  // Anything else this boss is farmed for (a shared gem family) drops as usual
+  for (const [key, need] of Object.entries(activity.needs)) {
+    if (!need.convertible) remaining[key] -= need.rate
+  }
+}
+
+/**
+ * Produces a day-by-day farming schedule.
+ *
+ * craftingPlan: result of resolveCrafting() — only `missing` amounts are planned
+ * options:
+ *   dailyResin   — resin spent per day (default 180, natural regeneration)
+ *   startDate    — Date for day 1 (default today); decides which domains are open
+ *   dreamSolvent — Dream Solvent in the inventory
+ *
+ * Each day, domains open that weekday are farmed first (they're the scarce
+ * slots), then bosses, then Ley Lines. Each weekly boss is run at most
+ * once per week (resetting on Monday), the first DISCOUNTED_WEEKLY_RUNS of
+ * the week at half resin. Resin left over at the end of a day carries over
+ * to the next, up to RESIN_CAP — days with nothing open to farm don't bank
+ * more than the game can hold.
+ *
+ * Returns:
+ *   days        — [{ date, weekday, resin, runs: [{ id, type, label, count, resin }] }],
+ *                 only days where something was farmed
+ *   activities  — every activity with its total runs/resin and drops per resin
+ *                 (at full resin cost)
+ *   openWorld   — resin-free materials, see getFarmingActivities()
+ *   limited     — materials with no resin source, see getFarmingActivities()
+ *   weekly      — the weekly bosses: { weeks, runs, resin, solventUsed }, weeks
+ *                 counting reset weeks from today until the last weekly run
+ *                 (0 when none is needed) and solventUsed the Dream Solvent
+ *                 the plan expects to spend
+ *   totalDays   — days until everything is farmed (null if not within a year)
+ *   totalResin  — resin spent across the schedule
+ *   unfinished  — activities still short after MAX_DAYS
+ */
+export function planFarming(craftingPlan, { dailyResin = DEFAULT_DAILY_RESIN, startDate = new Date(), dreamSolvent = 0 } = {}) {
+  const { activities, openWorld, limited } = getFarmingActivities(craftingPlan)
+
+  const remaining = {}
+  for (const activity of activities) {
+    activity.totalRuns = 0
+    activity.spentResin = 0
+    for (const [key, need] of Object.entries(activity.needs)) {
+      remaining[key] = (remaining[key] ?? 0) + need.amount
+    }
+  }
+
+  // Dream Solvent on hand and spare drops per weekly boss, see farmWeeklyBoss()
+  const weekly = { solvent: dreamSolvent, solventUsed: 0, runs: 0, resin: 0, weeks: 0 }
+  const spare = {}
+  const runsLeft = (activity) => activity.type === 'weeklyBoss'
+    ? runsNeeded(activity, remaining, { solvent: weekly.solvent, spare: spare[activity.id] ?? 0 })
+    : runsNeeded(activity, remaining)
+
+  const days = []
+  const weeklyDone = new Set()
+  let week = 1
+  let carry = 0
+  let totalDays = null
+  let totalResin = 0
+
+  for (let day = 0; day < MAX_DAYS; day++) {
+    if (activities.every(a => runsLeft(a) === 0)) {
+      totalDays = day
+      break
+    }
+
+    const date = new Date(startDate)
+    date.setDate(date.getDate() + day)
+    const weekday = WEEKDAYS[date.getDay()]
+    if (weekday === WEEKLY_RESET_DAY) {
+      weeklyDone.clear()
+      if (day > 0) week++
+    }
+
+    let budget = dailyResin + carry
+    const runs = []
+
+    const candidates = activities
+      .filter(a => !a.days || a.days.includes(weekday))
+      .filter(a => !weeklyDone.has(a.id))
+      .sort((a, b) => ACTIVITY_ORDER.indexOf(a.type) - ACTIVITY_ORDER.indexOf(b.type) ||
+                      runsLeft(b) - runsLeft(a))
+
+    for (const activity of candidates) {
+      const isWeekly = activity.type === 'weeklyBoss'
+      const resin = isWeekly && weeklyDone.size < DISCOUNTED_WEEKLY_RUNS ? DISCOUNTED_WEEKLY_BOSS_RESIN : activity.resin
+      const maxRuns = isWeekly ? 1 : Math.floor(budget / resin)
+      const count = Math.min(runsLeft(activity), maxRuns)
+      if (count <= 0 || count * resin > budget) continue
+
+      if (isWeekly) {
+        weeklyDone.add(activity.id)
+        farmWeeklyBoss(activity, remaining, spare, weekly)
+        weekly.runs++
+        weekly.resin += resin
+        weekly.weeks = week
+      } else {
+        for (const [key, need] of Object.entries(activity.needs)) {
+          remaining[key] -= count * need.rate
+        }
+      }
+      budget -= count * resin
+      activity.totalRuns += count
+      activity.spentResin += count * resin
+      runs.push({ id: activity.id, type: activity.type, label: activity.label, count, resin: count * resin })
+    }
+
+    const spent = dailyResin + carry - budget
+    carry = Math.min(budget, RESIN_CAP)
+    totalResin += spent
+    if (runs.length > 0) days.push({ date, weekday, resin: spent, runs })
+  }
+
+  const summary = activities.map(({ spentResin, ...a }) => {
+    const dropsPerResin = {}
+    for (const [key, need] of Object.entries(a.needs)) {
+      dropsPerResin[key] = need.rate / a.resin
+    }
+    return { ...a, totalResin: spentResin, dropsPerResin }
+  })
+
+  return {
+    days,
+    activities: summary,
+    openWorld,
+    limited,
+    weekly: { weeks: weekly.weeks, runs: weekly.runs, resin: weekly.resin, solventUsed: weekly.solventUsed },
+    totalDays,
+    totalResin,
+    unfinished: summary.filter(a => runsLeft(a) > 0),
+  }
+}
+
+// ──────────────────────────────────────────────────────────
+// Crowns of Insight
+// ──────────────────────────────────────────────────────────
+
+/**
+ * Hands the Crowns of Insight in the inventory out to the talents that
+ * need one (level 9 → 10), in roster priority order, to show which level 10
+ * talents compete for them.
+ *
+ * entries: who needs Crowns, as [{ charName, label, count }] in priority
+ *          order (the composable's materialUsage entries)
+ * owned:   Crowns in the inventory
+ *
+ * Returns { need, owned, missing, characters: [{ charName, talents }] } with
+ * talents as [{ label, count, covered }], covered being how many of its
+ * count the inventory still had left for it.
+ */
+export function allocateCrowns(entries, owned) {
+  let left = owned
+  const characters = []
+  for (const entry of entries) {
+    const covered = Math.min(entry.count, left)
+    left -= covered
+    let row = characters.find(c => c.charName === entry.charName)
+    if (!row) {
+      row = { charName: entry.charName, talents: [] }
+      characters.push(row)
+    }
+    row.talents.push({ label: entry.label, count: entry.count, covered })
+  }
+
+  const need = entries.reduce((sum, e) => sum + e.count, 0)
+  return { need, owned, missing: Math.max(0, need - owned), characters }
+}
@@ -0,0 +1,18 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { planFarming, DEFAULT_DAILY_RESIN } from './farmingPlanner.js'
+import { resolveCrafting } from './crafting.js'
+
+// Freedom books: the Forsaken Rift is open Monday, Thursday and Sunday
+const freedomBooks = resolveCrafting([{ name: 'Philosophies of Freedom', count: 60 }], {})
+const MONDAY = new Date(2024, 0, 1)
+
+test('resin saved on days the domain is closed is capped at 200', () => {
+  const plan = planFarming(freedomBooks, { startDate: MONDAY })
+
+  assert.deepEqual(plan.days.slice(0, 3).map(d => d.weekday), ['Monday', 'Thursday', 'Sunday'])
+  // Monday spends the day's resin; Thursday has two closed days banked, but at most 200 of them
+  assert.equal(plan.days[0].resin, DEFAULT_DAILY_RESIN)
+  assert.equal(plan.days[1].resin, 200 + DEFAULT_DAILY_RESIN)
+  for (const day of plan.days) assert.ok(day.resin <= 200 + DEFAULT_DAILY_RESIN, `${day.weekday}: ${day.resin}`)
+})
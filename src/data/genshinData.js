@@ -9,6 +9,7 @@
  */
 
 import genshindb from 'genshin-db'
+import { LEVEL_TO_PHASE } from './levelTables.js'
 
 // ──────────────────────────────────────────────────────────
 // Element colour map (game-accurate brand colours)
@@ -31,6 +32,7 @@ export const ELEMENT_COLOURS = {
 const _charCache   = {}
 const _weaponCache = {}
 const _talentCache = {}
+const _boostCache  = {}
 
 // ──────────────────────────────────────────────────────────
 // Internal helpers
@@ -51,46 +53,74 @@ export function mergeCosts(accumulator, items) {
   }
 }
 
-/**
- * Maps a character or weapon's current level to the index of the last
- * ascension phase already completed. Phase 1 (ascend1) unlocks cap 40, etc.
- *
- * Used to determine which ascension phases need to be paid for when
- * going from currentLevel to targetLevel.
- */
-const LEVEL_TO_PHASE = {
-  1:  0,  // no ascension completed yet
-  20: 0,
-  40: 1,
-  50: 2,
-  60: 3,
-  70: 4,
-  80: 5,
-  90: 6,
-}
-
 // ──────────────────────────────────────────────────────────
 // Character queries
 // ──────────────────────────────────────────────────────────
 
 /**
- * Returns an array of every playable character name.
- * Traveler (Aether / Lumine) is excluded — their multi-element
- * talent structure doesn't fit the standard 3-talent model.
+ * The Traveler is one roster entry. genshin-db lists them as Aether and
+ * Lumine (identical levelling costs) with talents split per element under
+ * "Traveler (Anemo)", "Traveler (Geo)", … — see getTravelerElements().
+ */
+export const TRAVELER = 'Traveler'
+const TRAVELER_DATA_NAME = 'Aether'
+
+/**
+ * Returns an array of every playable character name, with Aether and
+ * Lumine folded into a single TRAVELER entry.
  */
 export function getAllCharacterNames() {
   const allNames = genshindb.characters('names', { matchCategories: true })
-  return allNames.filter(name => name !== 'Aether' && name !== 'Lumine')
+  return allNames
+    .filter(name => name !== 'Aether' && name !== 'Lumine')
+    .concat(TRAVELER)
+    .sort((a, b) => a.localeCompare(b))
 }
 
 /** Returns the raw genshin-db character object. Cached after first call. */
 function getCharacter(charName) {
   if (!_charCache[charName]) {
-    _charCache[charName] = genshindb.characters(charName)
+    _charCache[charName] = genshindb.characters(charName === TRAVELER ? TRAVELER_DATA_NAME : charName)
   }
   return _charCache[charName]
 }
 
+/** Returns the element code (e.g. "ELEMENT_PYRO") for a character, or null. */
+export function getCharacterElement(charName) {
+  return getCharacter(charName)?.elementType ?? null
+}
+
+let _travelerElements = null
+
+/**
+ * Elements the Traveler has talents for in genshin-db, in release order:
+ * ['Anemo', 'Geo', 'Electro', 'Dendro', 'Hydro', 'Pyro', …]. Elements listed
+ * without talent data yet (announced but unreleased) are left out.
+ */
+export function getTravelerElements() {
+  if (!_travelerElements) {
+    _travelerElements = genshindb.talents('names', { matchCategories: true })
+      .map(name => name.match(/^Traveler \((\w+)\)$/)?.[1])
+      .filter(element => element && getTalentData(getTravelerTalentName(element))?.costs?.lvl2)
+      .sort((a, b) => versionOrder(a) - versionOrder(b))
+  }
+  return _travelerElements
+}
+
+/** Release version of a Traveler element as a sortable number ("4.0" → 4) */
+function versionOrder(element) {
+  return parseFloat(getTalentData(getTravelerTalentName(element))?.version) || 0
+}
+
+/**
+ * genshin-db name for the Traveler's talents of one element,
+ * e.g. 'Anemo' → 'Traveler (Anemo)'. Pass it wherever a talent function
+ * takes a character name.
+ */
+export function getTravelerTalentName(element) {
+  return `Traveler (${element})`
+}
+
 /**
  * Returns the weapon type required by a character.
  * genshin-db uses internal codes like "WEAPON_POLE" — we normalise to
@@ -100,11 +130,25 @@ export function getCharacterWeaponType(charName) {
   return getCharacter(charName)?.weaponType ?? null
 }
 
+/** Returns a character's rarity (4 or 5), or null. */
+export function getCharacterRarity(charName) {
+  return getCharacter(charName)?.rarity ?? null
+}
+
+/**
+ * Returns a character's home region ("Mondstadt", "Liyue", …), or null for
+ * characters genshin-db lists without one (the Traveler, Aloy, …).
+ */
+export function getCharacterRegion(charName) {
+  return getCharacter(charName)?.region || null
+}
+
 /**
  * Returns a flat array of { name, count } representing all ascension materials
  * needed to go from currentLevel to targetLevel for a character.
  *
  * Example: currentLevel=60, targetLevel=90 → costs for ascend4, ascend5, ascend6
+ *          currentLevel='60A', targetLevel=80 → costs for ascend5 only
  */
 export function getCharacterAscensionCosts(charName, currentLevel, targetLevel) {
   const char = getCharacter(charName)
@@ -175,8 +219,13 @@ export function getWeaponAscensionCosts(weaponName, currentLevel, targetLevel) {
 // Talent queries
 // ──────────────────────────────────────────────────────────
 
-/** Returns the raw talent data for a character. Cached after first call. */
+/**
+ * Returns the raw talent data for a character. Cached after first call.
+ * TRAVELER itself has none — use getTravelerTalentName(element) instead
+ * (genshin-db would otherwise fuzzy-match it to one of the elements).
+ */
 function getTalentData(charName) {
+  if (charName === TRAVELER) return null
   if (!_talentCache[charName]) {
     _talentCache[charName] = genshindb.talents(charName)
   }
@@ -207,6 +256,73 @@ export function getTalentCosts(charName, currentLevel, targetLevel) {
   return costs
 }
 
+/** Talent keys in genshin-db's combat1/2/3 order */
+const TALENT_KEYS = ['normalAttack', 'skill', 'burst']
+
+/**
+ * "Normal Attack: Forceful Fists of Frost" and "Forceful Fists of Frost" are
+ * the same talent; newer genshin-db entries also prefix the talent type
+ * ("Elemental Skill **Eternal Tides**") and wrap names in **bold**.
+ */
+function normaliseTalentName(name) {
+  return name
+    .replace(/\*\*/g, '')
+    .replace(/^(Normal Attack:?|Elemental Skill|Elemental Burst)\s*/i, '')
+    .trim()
+    .toLowerCase()
+}
+
+/**
+ * Finds every talent-level boost a character has, from genshin-db text:
+ *  - constellations: "Increases the Level of Guide to Afterlife by 3."
+ *  - passives: "Increases your own party members' Normal Attack Level by 1."
+ *    (Tartaglia's Master of Weaponry — it applies to himself too)
+ *
+ * Returns [{ talent, amount, constellation }] where constellation is the
+ * constellation number needed (0 for passives, which are always active).
+ */
+function getTalentBoostSources(charName) {
+  if (_boostCache[charName]) return _boostCache[charName]
+
+  const talentData = getTalentData(charName)
+  const consData   = talentData ? genshindb.constellations(charName) : null
+  const sources = []
+
+  const talentByName = {}
+  TALENT_KEYS.forEach((key, i) => {
+    const name = talentData?.[`combat${i + 1}`]?.name
+    if (name) talentByName[normaliseTalentName(name)] = key
+  })
+
+  for (let c = 1; c <= 6; c++) {
+    const match = consData?.[`c${c}`]?.description?.match(/Increases the Level of (.+?) by (\d+)/i)
+    const talent = match && talentByName[normaliseTalentName(match[1])]
+    if (talent) sources.push({ talent, amount: Number(match[2]), constellation: c })
+  }
+
+  for (const key of ['passive1', 'passive2', 'passive3', 'passive4']) {
+    const match = talentData?.[key]?.description?.match(/Normal Attack Level by (\d+)/i)
+    if (match) sources.push({ talent: 'normalAttack', amount: Number(match[1]), constellation: 0 })
+  }
+
+  _boostCache[charName] = sources
+  return sources
+}
+
+/**
+ * Returns the talent-level bonus at a given constellation (0–6) as
+ * { normalAttack, skill, burst }, e.g. Hu Tao at C5 → { 0, 3, 3 }.
+ * The effective level is the base level plus this bonus; material costs
+ * always use the base level.
+ */
+export function getTalentBoosts(charName, constellation = 0) {
+  const boosts = { normalAttack: 0, skill: 0, burst: 0 }
+  for (const source of getTalentBoostSources(charName)) {
+    if (source.constellation <= constellation) boosts[source.talent] += source.amount
+  }
+  return boosts
+}
+
 // ──────────────────────────────────────────────────────────
 // Icon URLs (Enka.Network CDN — reliable for all characters/weapons/materials)
 // ──────────────────────────────────────────────────────────
@@ -232,16 +348,139 @@ export function getWeaponIconUrl(weaponName) {
 
 const _materialCache = {}
 
+/** Returns an array of every material name. */
+export function getAllMaterialNames() {
+  return genshindb.materials('names', { matchCategories: true })
+}
+
+/** Returns the raw genshin-db material object, or null. Cached after first call. */
+export function getMaterial(materialName) {
+  if (_materialCache[materialName] === undefined) {
+    _materialCache[materialName] = genshindb.materials(materialName) ?? null
+  }
+  return _materialCache[materialName]
+}
+
 /**
  * Returns the Enka.Network icon URL for a material, or null if unavailable.
  * Queries genshin-db materials with a memo cache.
  */
 export function getMaterialIconUrl(materialName) {
-  if (_materialCache[materialName] === undefined) {
-    const mat = genshindb.materials(materialName)
-    _materialCache[materialName] = enkaUrl(mat?.images?.filename_icon)
+  return enkaUrl(getMaterial(materialName)?.images?.filename_icon)
+}
+
+// ──────────────────────────────────────────────────────────
+// Artifact queries
+// ──────────────────────────────────────────────────────────
+
+/** Returns an array of every artifact set name. */
+export function getAllArtifactSetNames() {
+  return genshindb.artifacts('names', { matchCategories: true })
+}
+
+/**
+ * Set bonus text and top rarity for an artifact set, or null if unknown.
+ * Returns { name, maxRarity, effect2Pc, effect4Pc }; sets with only a
+ * 1-piece bonus have null 2pc / 4pc effects.
+ */
+export function getArtifactSetInfo(setName) {
+  const set = genshindb.artifacts(setName)
+  if (!set) return null
+  return {
+    name:      set.name,
+    maxRarity: Math.max(...(set.rarityList ?? [0])),
+    effect2Pc: set.effect2Pc ?? null,
+    effect4Pc: set.effect4Pc ?? null,
+  }
+}
+
+/** Set name → { name, region, sets } of the domain that drops it at 5★. Built lazily. */
+let _artifactDomainIndex = null
+
+/**
+ * Indexes the artifact domains (Domains of Blessing) by the sets they drop.
+ * Every domain also drops a few 3–4★ filler sets; only its 5★ rewards are
+ * the sets it's farmed for. Each tier of a domain is listed separately in
+ * genshin-db, so domains are keyed by their entrance name.
+ */
+function buildArtifactDomainIndex() {
+  _artifactDomainIndex = {}
+  for (const name of genshindb.domains('names', { matchCategories: true })) {
+    const domain = genshindb.domains(name)
+    if (domain?.domainType !== 'UI_ABYSSUS_RELIC') continue
+
+    const sets = [...new Set((domain.rewardPreview ?? []).filter(r => r.rarity === 5).map(r => r.name))]
+    for (const set of sets) {
+      if (!_artifactDomainIndex[set]) {
+        _artifactDomainIndex[set] = { name: domain.entranceName, region: domain.regionName, sets }
+      }
+    }
+  }
+}
+
+/**
+ * The domain that drops an artifact set: { name, region, sets } where sets
+ * are both sets it drops. Null for sets that only come from bosses,
+ * strongboxes or events.
+ */
+export function getArtifactSetDomain(setName) {
+  if (!_artifactDomainIndex) buildArtifactDomainIndex()
+  return _artifactDomainIndex[setName] ?? null
+}
+
+// ──────────────────────────────────────────────────────────
+// Boss queries
+// ──────────────────────────────────────────────────────────
+
+/** Material name → { name, weekly } of the boss that drops it. Built lazily. */
+let _bossDropIndex = null
+
+/** Boss name → Set of material names it drops. Built alongside _bossDropIndex. */
+let _bossDrops = null
+
+// Rewards every boss gives that aren't boss materials (Adventure EXP, Companionship EXP, Mora)
+const GENERIC_REWARD_IDS = new Set([102, 105, 202])
+
+/**
+ * Indexes every boss's reward preview by material name.
+ * Weekly bosses are filed under "Enemies of Note" (CODEX_SUBTYPE_BOSS);
+ * every other BOSS-type enemy is an open-world normal boss.
+ * Normal bosses are indexed first so shared drops (gems) point at a boss
+ * that doesn't eat into the weekly discount. A material dropped by several
+ * bosses keeps the first one found.
+ */
+function buildBossDropIndex() {
+  _bossDropIndex = {}
+  _bossDrops = {}
+  const bosses = genshindb.enemies('names', { matchCategories: true })
+    .map(name => genshindb.enemies(name))
+    .filter(enemy => enemy?.enemyType === 'BOSS')
+    .map(enemy => ({ enemy, weekly: enemy.categoryType === 'CODEX_SUBTYPE_BOSS' }))
+    .sort((a, b) => a.weekly - b.weekly)
+
+  for (const { enemy, weekly } of bosses) {
+    _bossDrops[enemy.name] = new Set()
+    for (const reward of enemy.rewardPreview ?? []) {
+      if (GENERIC_REWARD_IDS.has(reward.id)) continue
+      _bossDrops[enemy.name].add(reward.name)
+      if (!_bossDropIndex[reward.name]) _bossDropIndex[reward.name] = { name: enemy.name, weekly }
+    }
   }
-  return _materialCache[materialName]
+}
+
+/**
+ * Returns { name, weekly } for the boss that drops a material,
+ * or null if no boss drops it.
+ */
+export function getBossForMaterial(materialName) {
+  if (!_bossDropIndex) buildBossDropIndex()
+  return _bossDropIndex[materialName] ?? null
+}
+
+/** True if the named boss has materialName in its reward preview. */
+export function bossDropsMaterial(bossName, materialName) {
+  if (!_bossDrops) buildBossDropIndex()
+  return _bossDrops[bossName]?.has(materialName) ?? false
 }
 
 /**
@@ -256,3 +495,45 @@ export function getTalentNames(charName) {
     burst:        talentData?.combat3?.name ?? 'Elemental Burst',
   }
 }
+
+// ──────────────────────────────────────────────────────────
+// Game ID lookups (for account imports)
+// ──────────────────────────────────────────────────────────
+
+let _characterIds = null
+let _weaponIds = null
+
+/**
+ * Roster name for an in-game avatar id (e.g. 10000046 → "Hu Tao").
+ * Both Aether and Lumine map to TRAVELER. Returns null for unknown ids.
+ */
+export function getCharacterNameById(avatarId) {
+  if (!_characterIds) {
+    _characterIds = new Map()
+    for (const c of genshindb.characters('names', { matchCategories: true, verboseCategories: true })) {
+      _characterIds.set(c.id, c.name === 'Aether' || c.name === 'Lumine' ? TRAVELER : c.name)
+    }
+  }
+  return _characterIds.get(Number(avatarId)) ?? null
+}
+
+/** Weapon name for an in-game weapon item id (e.g. 13501 → "Staff of Homa"), or null. */
+export function getWeaponNameById(itemId) {
+  if (!_weaponIds) {
+    _weaponIds = new Map(
+      genshindb.weapons('names', { matchCategories: true, verboseCategories: true }).map(w => [w.id, w.name])
+    )
+  }
+  return _weaponIds.get(Number(itemId)) ?? null
+}
+
+/**
+ * Traveler element for an in-game skill depot id. genshin-db keys Aether's
+ * depots (704 = Anemo, 706 = Geo, …); Lumine's are the same element digits
+ * under 500, so only the last two digits are compared.
+ */
+export function getTravelerElementByDepotId(depotId) {
+  return getTravelerElements().find(
+    element => getTalentData(getTravelerTalentName(element))?.id % 100 === Number(depotId) % 100
+  ) ?? null
+}
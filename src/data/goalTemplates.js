@@ -0,0 +1,123 @@
+/**
+ * goalTemplates.js
+ *
+ * Goal templates: named sets of targets ("Main DPS", "Support 80/1-6-8",
+ * "Bench") that can be stamped onto one or many characters' goals instead of
+ * setting every tab by hand. The templates themselves live in
+ * state.settings.goalTemplates; this file holds their shape and how one is
+ * applied to a goal.
+ *
+ * Template shape:
+ *   { id, name, targetLevel, weaponTargetLevel,
+ *     talents: { normalAttack, skill, burst },   — target levels 1–10
+ *     artifactTargetLevel }                       — +0 … +20 for a 5★ piece
+ *
+ * Only targets are templated. Current levels, weapons, artifact sets and
+ * constellations are the character's own and are never touched.
+ */
+
+import { ARTIFACT_MAX_LEVEL, LEVEL_LABELS, levelRank } from './levelTables.js'
+
+// ──────────────────────────────────────────────────────────
+// Constants
+// ──────────────────────────────────────────────────────────
+
+/**
+ * Targets a new goal gets when no default template is picked — the same as
+ * createDefaultGoal() in useTrainingGuide.js.
+ */
+export const STANDARD_TARGETS = {
+  targetLevel:         90,
+  weaponTargetLevel:   90,
+  talents:             { normalAttack: 9, skill: 9, burst: 9 },
+  artifactTargetLevel: 20,
+}
+
+/** How applyTemplate() treats targets the goal already has */
+export const TEMPLATE_MODES = {
+  raise:     'Only raise targets',
+  overwrite: 'Overwrite targets',
+}
+
+const TALENT_KEYS = ['normalAttack', 'skill', 'burst']
+
+// ──────────────────────────────────────────────────────────
+// Templates
+// ──────────────────────────────────────────────────────────
+
+/** A new template called `name` with the given targets (standard ones by default) */
+export function createTemplate(id, name, targets = STANDARD_TARGETS) {
+  return {
+    id,
+    name,
+    targetLevel:         targets.targetLevel,
+    weaponTargetLevel:   targets.weaponTargetLevel,
+    talents:             { ...targets.talents },
+    artifactTargetLevel: targets.artifactTargetLevel,
+  }
+}
+
+/** The talent objects of a goal: one set, or one per Traveler element */
+function talentSets(goal) {
+  return goal.elements ? Object.values(goal.elements).map(entry => entry.talents) : [goal.talents]
+}
+
+/**
+ * The targets of an existing goal, in template form. Talents come from the
+ * first talent set (the Traveler's first element); the artifact target is
+ * the highest of the five slots.
+ */
+export function targetsFromGoal(goal) {
+  const talents = talentSets(goal)[0]
+  return {
+    targetLevel:         goal.targetLevel,
+    weaponTargetLevel:   goal.weaponTargetLevel,
+    talents:             Object.fromEntries(TALENT_KEYS.map(key => [key, talents[key].targetLevel])),
+    artifactTargetLevel: Math.max(...goal.artifacts.map(a => a.targetLevel)),
+  }
+}
+
+/** One-line summary: "Lv. 80/90 · Weapon 90 · Talents 1-6-8 · Artifacts +20" */
+export function describeTemplate(template) {
+  const talents = TALENT_KEYS.map(key => template.talents[key]).join('-')
+  return `Lv. ${LEVEL_LABELS[template.targetLevel]} · Weapon ${LEVEL_LABELS[template.weaponTargetLevel]} · ` +
+    `Talents ${talents} · Artifacts +${template.artifactTargetLevel}`
+}
+
+// ──────────────────────────────────────────────────────────
+// Applying
+// ──────────────────────────────────────────────────────────
+
+/**
+ * Sets a goal's targets from a template, in place.
+ *
+ * mode:
+ *   'overwrite' — every target becomes the template's
+ *   'raise'     — targets only go up; ones already above the template stay
+ *
+ * Either way a target never ends up below the current level (a goal can't
+ * be un-levelled). Artifact targets are capped at each slot's rarity, so a
+ * +20 template gives a 4★ slot +16. The weapon target is set even while no
+ * weapon is picked, ready for when one is.
+ */
+export function applyTemplate(goal, template, mode = 'raise') {
+  const pick = (target, current, wanted, rank = v => v) => {
+    const value = mode === 'raise' && rank(target) > rank(wanted) ? target : wanted
+    return rank(current) > rank(value) ? current : value
+  }
+
+  goal.targetLevel       = pick(goal.targetLevel, goal.currentLevel, template.targetLevel, levelRank)
+  goal.weaponTargetLevel = pick(goal.weaponTargetLevel, goal.weaponCurrentLevel, template.weaponTargetLevel, levelRank)
+
+  for (const talents of talentSets(goal)) {
+    for (const key of TALENT_KEYS) {
+      const t = talents[key]
+      t.targetLevel = pick(t.targetLevel, t.currentLevel, template.talents[key])
+    }
+  }
+
+  for (const artifact of goal.artifacts) {
+    const wanted = Math.min(template.artifactTargetLevel, ARTIFACT_MAX_LEVEL[artifact.rarity ?? 5])
+    artifact.targetLevel = pick(artifact.targetLevel, artifact.currentLevel, wanted)
+  }
+}
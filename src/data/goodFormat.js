@@ -0,0 +1,317 @@
+/**
+ * goodFormat.js
+ *
+ * Conversion to and from GOOD, the Genshin Open Object Description format
+ * that Genshin Optimizer and the inventory scanners read and write
+ * (https://frzyc.github.io/genshin-optimizer/#/doc).
+ *
+ * A GOOD file describes an account, not goals:
+ *
+ *   { format: 'GOOD', version: 2, source,
+ *     characters: [{ key, level, ascension, constellation, talent: { auto, skill, burst } }],
+ *     weapons:    [{ key, level, ascension, refinement, location, lock }],
+ *     artifacts:  [{ setKey, slotKey, level, rarity, mainStatKey, location, lock, substats }],
+ *     materials:  { [key]: count } }
+ *
+ * Keys are English names in PascalCase with punctuation dropped
+ * ("Hu Tao" → "HuTao", "Hero's Wit" → "HerosWit"). The Traveler is one
+ * character per element ("TravelerAnemo", …) but a single "Traveler"
+ * location. Talent levels are base levels, without constellation boosts —
+ * the same levels goals store.
+ *
+ * Parsing turns a GOOD file into the same per-character shape as
+ * parseEnkaData(), so both imports share the merge in useTrainingGuide.js.
+ */
+
+import {
+  getAllCharacterNames,
+  getAllWeaponNames,
+  getAllMaterialNames,
+  getAllArtifactSetNames,
+  getTravelerElements,
+  TRAVELER,
+} from './genshinData.js'
+import { levelFromPhase, levelNumber, isValidLevel, LEVEL_TO_PHASE, artifactMilestone, ARTIFACT_RARITIES } from './levelTables.js'
+
+export const GOOD_FORMAT  = 'GOOD'
+export const GOOD_VERSION = 2
+const GOOD_SOURCE = 'Genshin Training Guide'
+
+// ──────────────────────────────────────────────────────────
+// Keys
+// ──────────────────────────────────────────────────────────
+
+/** GOOD key for an English name: "Amos' Bow" → "AmosBow" */
+export function toGoodKey(name) {
+  return name
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')  // drop accents
+    .replace(/['’]/g, '')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(word => word[0].toUpperCase() + word.slice(1))
+    .join('')
+}
+
+const _keyMaps = {}
+
+/** GOOD key → name lookup for one list of names, built lazily */
+function keyMap(kind, getNames) {
+  if (!_keyMaps[kind]) _keyMaps[kind] = new Map(getNames().map(name => [toGoodKey(name), name]))
+  return _keyMaps[kind]
+}
+
+const characterKeys = () => keyMap('characters', getAllCharacterNames)
+const weaponKeys    = () => keyMap('weapons', getAllWeaponNames)
+const materialKeys  = () => keyMap('materials', getAllMaterialNames)
+const setKeys       = () => keyMap('sets', getAllArtifactSetNames)
+
+/** GOOD character key for one of the Traveler's elements */
+function travelerKey(element) {
+  return `${TRAVELER}${element}`
+}
+
+/** Artifact slot names used in goals ↔ GOOD slot keys */
+const SLOT_KEYS = {
+  Flower:  'flower',
+  Plume:   'plume',
+  Sands:   'sands',
+  Goblet:  'goblet',
+  Circlet: 'circlet',
+}
+
+/** Main stat labels used in ArtifactsTab.vue ↔ GOOD stat keys */
+const MAIN_STAT_KEYS = {
+  'HP':                  'hp',
+  'ATK':                 'atk',
+  'HP%':                 'hp_',
+  'ATK%':                'atk_',
+  'DEF%':                'def_',
+  'Elemental Mastery':   'eleMas',
+  'Energy Recharge%':    'enerRech_',
+  'CRIT Rate%':          'critRate_',
+  'CRIT DMG%':           'critDMG_',
+  'Healing Bonus%':      'heal_',
+  'Pyro DMG Bonus%':     'pyro_dmg_',
+  'Hydro DMG Bonus%':    'hydro_dmg_',
+  'Electro DMG Bonus%':  'electro_dmg_',
+  'Cryo DMG Bonus%':     'cryo_dmg_',
+  'Anemo DMG Bonus%':    'anemo_dmg_',
+  'Geo DMG Bonus%':      'geo_dmg_',
+  'Dendro DMG Bonus%':   'dendro_dmg_',
+  'Physical DMG Bonus%': 'physical_dmg_',
+}
+
+const invert = obj => Object.fromEntries(Object.entries(obj).map(([k, v]) => [v, k]))
+const SLOTS_BY_KEY      = invert(SLOT_KEYS)
+const MAIN_STATS_BY_KEY = invert(MAIN_STAT_KEYS)
+
+// ──────────────────────────────────────────────────────────
+// Import
+// ──────────────────────────────────────────────────────────
+
+/** Roster name and Traveler element for a GOOD character / location key */
+function resolveCharacterKey(key) {
+  if (typeof key !== 'string') return null
+  const name = characterKeys().get(key)
+  if (name) return { name, element: null }
+  const element = getTravelerElements().find(el => travelerKey(el) === key)
+  return element ? { name: TRAVELER, element } : null
+}
+
+function isWholeNumber(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max
+}
+
+/** True for a parsed JSON object that declares itself a GOOD file */
+export function isGoodData(data) {
+  return typeof data === 'object' && data !== null && data.format === GOOD_FORMAT
+}
+
+/**
+ * Parses a GOOD object (already JSON.parse'd).
+ *
+ * Returns:
+ *   characters — same shape as parseEnkaData() characters, with weapon null
+ *                and artifacts { [slot]: { level, rarity, set, mainStat } } taken
+ *                from the artifacts located on the character
+ *   weapons    — [{ name, level, refinement, location }], location being a
+ *                roster name or null
+ *   materials  — { [materialName]: count }, or null if the file has none
+ *   skipped    — entries with keys or values this app doesn't know
+ *   errors     — non-empty when the file isn't usable GOOD at all
+ */
+export function parseGood(data) {
+  const result = { characters: [], weapons: [], materials: null, skipped: [], errors: [] }
+
+  if (!isGoodData(data)) {
+    result.errors.push('Not a GOOD file (format must be "GOOD")')
+    return result
+  }
+  if (!Number.isInteger(data.version) || data.version < 1 || data.version > GOOD_VERSION) {
+    result.errors.push(`Unsupported GOOD version: ${JSON.stringify(data.version)} (expected 1–${GOOD_VERSION})`)
+    return result
+  }
+  for (const field of ['characters', 'weapons', 'artifacts']) {
+    if (data[field] !== undefined && !Array.isArray(data[field])) result.errors.push(`GOOD ${field} must be an array`)
+  }
+  if (data.materials !== undefined && (typeof data.materials !== 'object' || data.materials === null || Array.isArray(data.materials))) {
+    result.errors.push('GOOD materials must be an object')
+  }
+  if (result.errors.length > 0) return result
+
+  // Characters
+  for (const c of data.characters ?? []) {
+    const resolved = resolveCharacterKey(c?.key)
+    if (!resolved) {
+      result.skipped.push(`Unknown character key: ${JSON.stringify(c?.key)}`)
+      continue
+    }
+    const level = levelFromPhase(c.level, c.ascension ?? 0)
+    if (!isValidLevel(level)) {
+      result.skipped.push(`${c.key}: invalid level ${JSON.stringify(c.level)}`)
+      continue
+    }
+    if (resolved.name === TRAVELER && !resolved.element) {
+      result.skipped.push(`${c.key}: no element in the key, talents left as is`)
+    }
+
+    const t = c.talent ?? {}
+    const talents = [t.auto, t.skill, t.burst].every(lvl => isWholeNumber(lvl, 1, 10))
+      ? { normalAttack: t.auto, skill: t.skill, burst: t.burst }
+      : null
+    if (!talents && c.talent !== undefined) result.skipped.push(`${c.key}: invalid talent levels, left as is`)
+
+    result.characters.push({
+      ...resolved,
+      level,
+      constellation: isWholeNumber(c.constellation, 0, 6) ? c.constellation : 0,
+      talents,
+      weapon: null,
+      artifacts: {},
+    })
+  }
+
+  const locate = (location, what) => {
+    if (!location) return null
+    const resolved = resolveCharacterKey(location)
+    if (resolved && result.characters.some(c => c.name === resolved.name)) return resolved.name
+    result.skipped.push(`${what} equipped on ${JSON.stringify(location)}, who isn't in the file — left unequipped`)
+    return null
+  }
+
+  // Weapons
+  for (const w of data.weapons ?? []) {
+    const name = weaponKeys().get(w?.key)
+    if (!name) {
+      result.skipped.push(`Unknown weapon key: ${JSON.stringify(w?.key)}`)
+      continue
+    }
+    const level = levelFromPhase(w.level, w.ascension ?? 0)
+    if (!isValidLevel(level)) {
+      result.skipped.push(`${w.key}: invalid level ${JSON.stringify(w.level)}`)
+      continue
+    }
+    result.weapons.push({
+      name,
+      level,
+      refinement: isWholeNumber(w.refinement, 1, 5) ? w.refinement : 1,
+      location: locate(w.location, w.key),
+    })
+  }
+
+  // Artifacts — only the equipped ones matter to goals
+  for (const a of data.artifacts ?? []) {
+    const slot = SLOTS_BY_KEY[a?.slotKey]
+    const set = setKeys().get(a?.setKey)
+    if (!slot || !set) {
+      result.skipped.push(`Unknown artifact: ${JSON.stringify(a?.setKey)} ${JSON.stringify(a?.slotKey)}`)
+      continue
+    }
+    const location = locate(a.location, `${a.setKey} ${a.slotKey}`)
+    if (!location) continue
+    const character = result.characters.find(c => c.name === location)
+    const rarity = ARTIFACT_RARITIES.includes(a.rarity) ? a.rarity : 5
+    character.artifacts[slot] = {
+      level:    artifactMilestone(Number(a.level) || 0, rarity),
+      rarity,
+      set,
+      mainStat: MAIN_STATS_BY_KEY[a.mainStatKey] ?? null,
+    }
+  }
+
+  // Materials
+  if (data.materials) {
+    result.materials = {}
+    for (const [key, count] of Object.entries(data.materials)) {
+      const name = materialKeys().get(key)
+      if (!name) result.skipped.push(`Unknown material key: ${JSON.stringify(key)}`)
+      else if (!isWholeNumber(count, 0, Infinity)) result.skipped.push(`${key}: invalid count ${JSON.stringify(count)}`)
+      else if (count > 0) result.materials[name] = count
+    }
+  }
+
+  return result
+}
+
+// ──────────────────────────────────────────────────────────
+// Export
+// ──────────────────────────────────────────────────────────
+
+/** GOOD level / ascension pair for a level key: '80A' → { level: 80, ascension: 6 } */
+function goodLevel(level) {
+  return { level: levelNumber(level), ascension: LEVEL_TO_PHASE[level] ?? 0 }
+}
+
+/** GOOD location key for a roster name */
+function locationKey(name) {
+  return name === TRAVELER ? TRAVELER : toGoodKey(name)
+}
+
+/**
+ * Builds a GOOD object from app state. Only owned characters are exported,
+ * at their current levels. Artifacts are left out: a goal's artifacts are a
+ * plan (the set, main stat and substats wanted), not pieces the player owns,
+ * and a GOOD consumer would take them for inventory.
+ */
+export function toGood({ ownedCharacters, characterGoals, weapons, inventory }) {
+  const characters = []
+
+  for (const name of ownedCharacters) {
+    const goal = characterGoals[name]
+    const base = goal ? goodLevel(goal.currentLevel) : { level: 1, ascension: 0 }
+    const talent = talents => ({
+      auto:  talents?.normalAttack.currentLevel ?? 1,
+      skill: talents?.skill.currentLevel ?? 1,
+      burst: talents?.burst.currentLevel ?? 1,
+    })
+
+    if (name === TRAVELER) {
+      for (const [element, entry] of Object.entries(goal?.elements ?? {})) {
+        characters.push({ key: travelerKey(element), ...base, constellation: entry.constellation, talent: talent(entry.talents) })
+      }
+    } else {
+      characters.push({ key: toGoodKey(name), ...base, constellation: goal?.constellation ?? 0, talent: talent(goal?.talents) })
+    }
+  }
+
+  const holders = {}
+  for (const [name, goal] of Object.entries(characterGoals)) {
+    if (goal.weaponId !== null && goal.weaponId !== undefined && ownedCharacters.includes(name)) holders[goal.weaponId] = name
+  }
+
+  return {
+    format:  GOOD_FORMAT,
+    version: GOOD_VERSION,
+    source:  GOOD_SOURCE,
+    characters,
+    weapons: weapons.map(w => ({
+      key:        toGoodKey(w.name),
+      ...goodLevel(w.level),
+      refinement: w.refinement,
+      location:   holders[w.id] ? locationKey(holders[w.id]) : '',
+      lock:       false,
+    })),
+    artifacts: [],
+    materials: Object.fromEntries(Object.entries(inventory).map(([name, count]) => [toGoodKey(name), count])),
+  }
+}
@@ -19,40 +19,158 @@
  *
  * Mora cost = EXP needed × 0.2  (4000 Mora per 20000 EXP = 0.2)
  *
- * We store cumulative EXP from Level 1 to each level cap milestone.
- * To get the EXP needed for a range, subtract the two cumulative values.
+ * We store the EXP for every single level and derive cumulative EXP
+ * from Level 1. To get the EXP needed for a range, subtract the two
+ * cumulative values.
+ *
+ * The heroWits / mysticOres counts below are top-tier-only estimates;
+ * expOptimiser.js picks the actual book / ore mix from the inventory.
  * ─────────────────────────────────────────────────────────────────
  */
 
 // ──────────────────────────────────────────────────────────
-// Character level-up EXP (cumulative from Level 1)
+// Levels and ascension
 // ──────────────────────────────────────────────────────────
 
 /**
- * Total EXP needed to bring a character from Level 1 to the given level cap.
- * Keys are the level cap milestones used as ascension targets.
+ * Levels at which a character or weapon must ascend before levelling further.
+ * A character at 80 can't gain EXP until they ascend; after ascending they're
+ * still level 80 but their cap is 90. We write that ascended state as '80A'.
+ */
+export const ASCENSION_CAPS = [20, 40, 50, 60, 70, 80]
+
+/**
+ * Every level a character or weapon can be at, in progression order:
+ *   1, 2, …, 20, '20A', 21, …, 40, '40A', 41, …, 80, '80A', 81, …, 90
+ *
+ * Plain numbers are unascended; 'NA' strings are level N after ascending.
+ */
+export const LEVELS = []
+for (let lvl = 1; lvl <= 90; lvl++) {
+  LEVELS.push(lvl)
+  if (ASCENSION_CAPS.includes(lvl)) LEVELS.push(`${lvl}A`)
+}
+
+/** Numeric level of a level key: 80 and '80A' are both level 80. */
+export function levelNumber(level) {
+  return typeof level === 'number' ? level : parseInt(level, 10)
+}
+
+/** True for ascended level keys like '40A'. */
+export function isAscendedLevel(level) {
+  return typeof level === 'string' && level.endsWith('A')
+}
+
+/**
+ * Sort key for comparing levels: '80A' sits between 80 and 81.
+ * Also works for plain numeric levels (talents, artifacts).
+ */
+export function levelRank(level) {
+  return levelNumber(level) + (isAscendedLevel(level) ? 0.5 : 0)
+}
+
+/** True if level is one of LEVELS. */
+export function isValidLevel(level) {
+  return LEVELS.includes(level)
+}
+
+/**
+ * Maps every level key to the number of ascension phases already completed.
+ * Phase 1 (ascend1) takes a character from 20 to 20A, and so on.
+ *
+ * Used to determine which ascension phases need to be paid for when
+ * going from currentLevel to targetLevel.
+ */
+export const LEVEL_TO_PHASE = {}
+for (const level of LEVELS) {
+  const n = levelNumber(level)
+  LEVEL_TO_PHASE[level] = ASCENSION_CAPS.filter(cap => cap < n).length + (isAscendedLevel(level) ? 1 : 0)
+}
+
+/**
+ * Level key for a level number plus ascension phase, the way the game
+ * reports them: (80, 5) → 80, (80, 6) → '80A'. A phase that doesn't fit the
+ * level falls back to the plain number.
+ */
+export function levelFromPhase(level, phase) {
+  const ascended = `${level}A`
+  return LEVEL_TO_PHASE[ascended] !== undefined && phase >= LEVEL_TO_PHASE[ascended] ? ascended : level
+}
+
+/**
+ * Label in the in-game "level / cap" style: 73 → '73/80', 80 → '80/80',
+ * '80A' → '80/90'.
+ */
+export function formatLevelCap(level) {
+  const n = levelNumber(level)
+  const cap = ASCENSION_CAPS.find(c => c > n || (c === n && !isAscendedLevel(level))) ?? 90
+  return `${n}/${cap}`
+}
+
+/** formatLevelCap() for every level key, for dropdown labels */
+export const LEVEL_LABELS = Object.fromEntries(LEVELS.map(level => [level, formatLevelCap(level)]))
+
+/**
+ * The next stop on the way from current to target, the way the game splits
+ * levelling: level up to the next cap (20, 40, …, 90), then ascend ('20A').
+ * Never goes past target. 60 → '60A', '60A' → 70, 65 → 70.
  */
-export const CHARACTER_CUMULATIVE_EXP = {
-  1:  0,
-  20: 120_175,
-  40: 578_325,
-  50: 1_121_825,
-  60: 1_893_275,
-  70: 2_929_275,
-  80: 4_291_775,
-  90: 6_091_675,
+export function nextLevelStep(current, target) {
+  const next = LEVELS.find(level =>
+    levelRank(level) > levelRank(current) &&
+    (isAscendedLevel(level) || ASCENSION_CAPS.includes(level) || level === 90)
+  )
+  return next === undefined || levelRank(next) > levelRank(target) ? target : next
 }
 
+/**
+ * Turns an array of per-level EXP (index 0 = EXP from Lv. 1 to Lv. 2)
+ * into cumulative EXP from Level 1, keyed by numeric level.
+ */
+function toCumulative(perLevel) {
+  const cumulative = { 1: 0 }
+  perLevel.forEach((exp, i) => { cumulative[i + 2] = cumulative[i + 1] + exp })
+  return cumulative
+}
+
+/** EXP needed between two level keys of a cumulative table (ascending doesn't cost EXP). */
+function expBetween(table, currentLevel, targetLevel) {
+  const fromExp = table[levelNumber(currentLevel)] ?? 0
+  const toExp   = table[levelNumber(targetLevel)]  ?? 0
+  return Math.max(0, toExp - fromExp)
+}
+
+// ──────────────────────────────────────────────────────────
+// Character level-up EXP
+// ──────────────────────────────────────────────────────────
+
+/**
+ * EXP to go from each level to the next. Entry i is Lv. i+1 → i+2;
+ * each row's comment gives the starting levels it covers.
+ */
+export const CHARACTER_LEVEL_EXP = [
+  /* from  1–10 */   1_000,   1_325,   1_700,   2_150,   2_625,   3_150,   3_725,   4_350,   5_000,   5_700,
+  /* from 11–20 */   6_450,   7_225,   8_050,   8_925,   9_825,  10_750,  11_725,  12_725,  13_775,  14_875,
+  /* from 21–30 */  16_800,  18_000,  19_250,  20_550,  21_875,  23_250,  24_650,  26_100,  27_575,  29_100,
+  /* from 31–40 */  30_650,  32_250,  33_875,  35_550,  37_250,  38_975,  40_750,  42_575,  44_425,  46_300,
+  /* from 41–50 */  50_625,  52_700,  54_775,  56_900,  59_075,  61_275,  63_525,  65_800,  68_125,  70_475,
+  /* from 51–60 */  76_500,  79_050,  81_650,  84_275,  86_950,  89_650,  92_400,  95_175,  98_000, 100_875,
+  /* from 61–70 */ 108_950, 112_050, 115_175, 118_325, 121_525, 124_775, 128_075, 131_400, 134_775, 138_175,
+  /* from 71–80 */ 148_700, 152_375, 156_075, 159_825, 163_600, 167_425, 171_300, 175_225, 179_175, 183_175,
+  /* from 81–89 */ 216_225, 243_025, 273_100, 306_800, 344_600, 386_950, 434_425, 487_625, 547_200,
+]
+
+/** Total EXP needed to bring a character from Level 1 to each level (1–90). */
+export const CHARACTER_CUMULATIVE_EXP = toCumulative(CHARACTER_LEVEL_EXP)
+
 /**
  * Computes the EXP and Mora needed to level a character from currentLevel to targetLevel.
  * Returns { exp, mora, heroWits } where heroWits is the Hero's Wit equivalent (rounded up).
  *
- * currentLevel and targetLevel must be keys in CHARACTER_CUMULATIVE_EXP.
+ * currentLevel and targetLevel are level keys from LEVELS (e.g. 73 or '80A').
  */
 export function getCharacterLevelUpCosts(currentLevel, targetLevel) {
-  const fromExp = CHARACTER_CUMULATIVE_EXP[currentLevel] ?? 0
-  const toExp   = CHARACTER_CUMULATIVE_EXP[targetLevel]  ?? 0
-  const exp     = Math.max(0, toExp - fromExp)
+  const exp     = expBetween(CHARACTER_CUMULATIVE_EXP, currentLevel, targetLevel)
   const mora    = Math.ceil(exp * 0.2)
   // Round up to whole Hero's Wits (20,000 EXP each)
   const heroWits = Math.ceil(exp / 20_000)
@@ -61,7 +179,7 @@ export function getCharacterLevelUpCosts(currentLevel, targetLevel) {
 }
 
 // ──────────────────────────────────────────────────────────
-// Weapon level-up EXP (cumulative from Level 1)
+// Weapon level-up EXP
 // ──────────────────────────────────────────────────────────
 
 /**
@@ -71,55 +189,57 @@ export function getCharacterLevelUpCosts(currentLevel, targetLevel) {
  *   - Enhancement Ore            =    400 EXP, costs 0 Mora
  *
  * Additionally, there is a Mora cost per ore used:
- *   - Mystic Enhancement Ore: 50 Mora each
- *   - Fine Enhancement Ore:   10 Mora each
- *   - Enhancement Ore:         2 Mora each
- * → Mora rate = EXP × 0.005 (50 Mora per 10,000 EXP)
- *
- * Weapon EXP requirements also scale with rarity — 5★ weapons need more EXP.
- * For simplicity we show the Mystic Enhancement Ore count (rounded up)
- * and approximate Mora cost.
+ *   - Mystic Enhancement Ore: 1,000 Mora each
+ *   - Fine Enhancement Ore:     200 Mora each
+ *   - Enhancement Ore:           40 Mora each
+ * → Mora rate = EXP × 0.1 (1,000 Mora per 10,000 EXP)
  *
- * Note: These are per-phase cumulative values for a 5★ weapon.
- * 4★ and lower weapons have lower EXP requirements but same milestone structure.
- * We display the 5★ values as the "worst case" planning figure.
- */
-export const WEAPON_5STAR_CUMULATIVE_EXP = {
-  1:  0,
-  20: 404_000,
-  40: 1_589_500,
-  50: 2_974_500,
-  60: 4_936_500,
-  70: 7_490_500,
-  80: 10_768_500,
-  90: 14_941_500,
-}
-
-export const WEAPON_4STAR_CUMULATIVE_EXP = {
-  1:  0,
-  20: 218_000,
-  40:  831_500,
-  50: 1_521_500,
-  60: 2_510_500,
-  70: 3_819_500,
-  80: 5_491_500,
-  90: 7_658_500,
-}
-
-export const WEAPON_3STAR_CUMULATIVE_EXP = {
-  1:  0,
-  20:  98_000,
-  40: 361_000,
-  50: 643_000,
-  60: 1_048_000,
-  70: 1_574_000,
-  80: 2_239_000,
-  90: 3_092_000,
-}
+ * Weapon EXP requirements scale with rarity — 5★ weapons need the most.
+ * Each table below lists EXP per level, entry i being Lv. i+1 → i+2.
+ */
+export const WEAPON_5STAR_LEVEL_EXP = [
+  /* from  1–10 */     600,     950,   1_350,   1_800,   2_325,   2_925,   3_525,   4_200,   4_950,   5_700,
+  /* from 11–20 */   6_525,   7_400,   8_300,   9_300,  10_300,  11_375,  12_500,  13_650,  14_875,  16_150,
+  /* from 21–30 */  17_475,  18_875,  20_300,  21_800,  23_325,  24_900,  26_525,  28_225,  29_975,  31_775,
+  /* from 31–40 */  33_625,  35_550,  37_525,  39_575,  41_650,  43_825,  46_050,  48_325,  50_650,  53_050,
+  /* from 41–50 */  55_500,  58_000,  60_575,  63_200,  65_900,  68_650,  71_450,  74_325,  77_250,  80_250,
+  /* from 51–60 */  83_300,  86_425,  89_600,  92_825,  96_125,  99_500, 102_925, 106_425, 109_975, 113_600,
+  /* from 61–70 */ 117_275, 121_050, 124_875, 128_750, 132_700, 136_725, 140_800, 144_950, 149_150, 153_425,
+  /* from 71–80 */ 157_775, 162_200, 166_675, 171_225, 175_825, 180_500, 185_250, 190_050, 194_925, 199_875,
+  /* from 81–89 */ 204_875, 209_975, 215_125, 220_350, 225_650, 231_025, 236_475, 242_000, 247_575,
+]
+
+export const WEAPON_4STAR_LEVEL_EXP = [
+  /* from  1–10 */     400,     625,     900,   1_200,   1_550,   1_950,   2_350,   2_800,   3_300,   3_800,
+  /* from 11–20 */   4_350,   4_925,   5_525,   6_200,   6_875,   7_575,   8_325,   9_100,   9_900,  10_750,
+  /* from 21–30 */  11_625,  12_550,  13_525,  14_475,  15_500,  16_550,  17_625,  18_750,  19_900,  21_100,
+  /* from 31–40 */  22_325,  23_600,  24_925,  26_275,  27_675,  29_100,  30_575,  32_100,  33_650,  35_225,
+  /* from 41–50 */  36_850,  38_500,  40_225,  41_975,  43_775,  45_600,  47_475,  49_375,  51_325,  53_325,
+  /* from 51–60 */  55_375,  57_475,  59_600,  61_775,  63_975,  66_225,  68_525,  70_875,  73_250,  75_675,
+  /* from 61–70 */  78_150,  80_650,  83_200,  85_800,  88_425,  91_125,  93_850,  96_625,  99_450, 102_300,
+  /* from 71–80 */ 105_200, 108_150, 111_150, 114_175, 117_250, 120_375, 123_525, 126_725, 129_975, 133_250,
+  /* from 81–89 */ 136_575, 139_950, 143_350, 146_800, 150_300, 153_850, 157_450, 161_100, 164_800,
+]
+
+export const WEAPON_3STAR_LEVEL_EXP = [
+  /* from  1–10 */     275,     425,     600,     800,   1_025,   1_275,   1_550,   1_850,   2_175,   2_500,
+  /* from 11–20 */   2_875,   3_250,   3_650,   4_100,   4_550,   5_000,   5_500,   6_000,   6_550,   7_125,
+  /* from 21–30 */   7_725,   8_350,   9_000,   9_675,  10_375,  11_100,  11_850,  12_625,  13_425,  14_250,
+  /* from 31–40 */  15_150,  16_050,  17_000,  17_950,  18_925,  19_950,  21_000,  22_100,  23_200,  24_300,
+  /* from 41–50 */  25_500,  26_700,  27_925,  29_175,  30_475,  31_775,  33_125,  34_525,  35_950,  37_400,
+  /* from 51–60 */  38_850,  40_350,  41_900,  43_475,  45_075,  46_700,  48_350,  50_050,  51_775,  53_525,
+  /* from 61–70 */  55_300,  57_100,  58_950,  60_825,  62_725,  64_650,  66_625,  68_625,  70_650,  72_700,
+  /* from 71–80 */  74_775,  76_900,  79_050,  81_225,  83_425,  85_675,  87_950,  90_250,  92_575,  94_925,
+  /* from 81–89 */  97_300,  99_725, 102_150, 104_625, 107_125, 109_650, 112_225, 114_825, 117_450,
+]
+
+export const WEAPON_5STAR_CUMULATIVE_EXP = toCumulative(WEAPON_5STAR_LEVEL_EXP)
+export const WEAPON_4STAR_CUMULATIVE_EXP = toCumulative(WEAPON_4STAR_LEVEL_EXP)
+export const WEAPON_3STAR_CUMULATIVE_EXP = toCumulative(WEAPON_3STAR_LEVEL_EXP)
 
 /**
  * Returns the EXP, Mora, and Mystic Enhancement Ore count to level
- * a weapon from currentLevel to targetLevel.
+ * a weapon from currentLevel to targetLevel (level keys from LEVELS).
  * rarity: 3, 4, or 5 (defaults to 5 if unrecognised)
  */
 export function getWeaponLevelUpCosts(currentLevel, targetLevel, rarity = 5) {
@@ -128,11 +248,9 @@ export function getWeaponLevelUpCosts(currentLevel, targetLevel, rarity = 5) {
     rarity === 4 ? WEAPON_4STAR_CUMULATIVE_EXP :
                    WEAPON_5STAR_CUMULATIVE_EXP
 
-  const fromExp = table[currentLevel] ?? 0
-  const toExp   = table[targetLevel]  ?? 0
-  const exp     = Math.max(0, toExp - fromExp)
-  // Mora cost ≈ EXP × 0.005 (50 Mora per Mystic Enhancement Ore at 10,000 EXP)
-  const mora = Math.ceil(exp * 0.005)
+  const exp = expBetween(table, currentLevel, targetLevel)
+  // Mora cost = EXP × 0.1 (1,000 Mora per Mystic Enhancement Ore at 10,000 EXP)
+  const mora = Math.ceil(exp * 0.1)
   // Round up to whole Mystic Enhancement Ores (10,000 EXP each)
   const mysticOres = Math.ceil(exp / 10_000)
 
@@ -143,52 +261,66 @@ export function getWeaponLevelUpCosts(currentLevel, targetLevel, rarity = 5) {
 // Artifact levelling costs
 // ──────────────────────────────────────────────────────────
 
-/**
- * Artifact levelling uses "artifact fodder" (other artifacts fed into it)
- * and Mora. The exact cost depends on the rarity and level of the fodder,
- * which is highly variable.
- *
- * For planning purposes, we show the MORA cost only (the main bottleneck),
- * using the cost to level a 5★ artifact from +0 to the target level.
- *
- * Mora costs for a 5★ artifact (cumulative from +0):
- */
-export const ARTIFACT_5STAR_CUMULATIVE_MORA = {
-  0:  0,
-  4:  2_700,
-  8:  10_200,
-  12: 24_050,
-  16: 47_950,
-  20: 88_800,
+/** Artifacts are planned in +4 steps, the levels where a substat is added or upgraded */
+export const ARTIFACT_LEVEL_STEP = 4
+
+/** Artifact rarities, highest first */
+export const ARTIFACT_RARITIES = [5, 4, 3, 2, 1]
+
+/** Level cap per artifact rarity */
+export const ARTIFACT_MAX_LEVEL = { 5: 20, 4: 16, 3: 12, 2: 4, 1: 4 }
+
+/** The planning milestones of a rarity: +0 up to its cap in +4 steps. */
+export function artifactLevelOptions(rarity = 5) {
+  const options = []
+  for (let level = 0; level <= (ARTIFACT_MAX_LEVEL[rarity] ?? 20); level += ARTIFACT_LEVEL_STEP) options.push(level)
+  return options
 }
 
 /**
- * Returns the Mora cost to level a single 5★ artifact from currentLevel to targetLevel.
+ * Planning level for an artifact's actual level: +7 → +4. The piece still
+ * needs +8's full cost to reach the next milestone, so rounding down keeps
+ * the totals on the safe side. Levels past the rarity's cap are capped.
  */
-export function getArtifactLevelCost(currentLevel, targetLevel) {
-  const fromMora = ARTIFACT_5STAR_CUMULATIVE_MORA[currentLevel] ?? 0
-  const toMora   = ARTIFACT_5STAR_CUMULATIVE_MORA[targetLevel]  ?? 0
-  return Math.max(0, toMora - fromMora)
+export function artifactMilestone(level, rarity = 5) {
+  const cap = ARTIFACT_MAX_LEVEL[rarity] ?? 20
+  return Math.floor(Math.max(0, Math.min(cap, level)) / ARTIFACT_LEVEL_STEP) * ARTIFACT_LEVEL_STEP
 }
 
 /**
- * Cumulative Artifact EXP (fodder XP) needed to level a 5★ artifact from +0.
+ * Artifact levelling uses "artifact fodder" (other artifacts fed into it, or
+ * Sanctifying Unction / Essence) and Mora. Feeding costs 1 Mora per EXP the
+ * fodder gives, so a piece's Mora cost matches its EXP cost; fodder that
+ * overshoots costs a little more (see artifactFodder.js).
+ *
+ * Cumulative Artifact EXP from +0 to each milestone, by rarity.
  * Source: Genshin Impact community wiki.
  */
-export const ARTIFACT_5STAR_CUMULATIVE_XP = {
-  0:  0,
-  4:  16_300,
-  8:  66_650,
-  12: 189_325,
-  16: 436_675,
-  20: 871_500,
+export const ARTIFACT_CUMULATIVE_XP = {
+  5: { 0: 0, 4: 16_300, 8: 44_725, 12: 87_150, 16: 153_300, 20: 270_475 },
+  4: { 0: 0, 4: 13_050, 8: 36_050, 12: 72_800, 16: 121_550 },
+  3: { 0: 0, 4:  9_775, 8: 26_725, 12: 52_700 },
+  2: { 0: 0, 4:  6_600 },
+  1: { 0: 0, 4:  3_375 },
 }
 
+const ARTIFACT_MORA_PER_EXP = 1
+
 /**
- * Returns the artifact fodder XP needed to level a 5★ artifact from currentLevel to targetLevel.
+ * Returns the artifact fodder XP needed to level an artifact of the given
+ * rarity from currentLevel to targetLevel.
  */
-export function getArtifactXpCost(currentLevel, targetLevel) {
-  const fromXp = ARTIFACT_5STAR_CUMULATIVE_XP[currentLevel] ?? 0
-  const toXp   = ARTIFACT_5STAR_CUMULATIVE_XP[targetLevel]  ?? 0
+export function getArtifactXpCost(currentLevel, targetLevel, rarity = 5) {
+  const table = ARTIFACT_CUMULATIVE_XP[rarity] ?? ARTIFACT_CUMULATIVE_XP[5]
+  const fromXp = table[currentLevel] ?? 0
+  const toXp   = table[targetLevel]  ?? 0
   return Math.max(0, toXp - fromXp)
 }
+
+/**
+ * Returns the Mora cost to level an artifact of the given rarity from
+ * currentLevel to targetLevel.
+ */
+export function getArtifactLevelCost(currentLevel, targetLevel, rarity = 5) {
+  return getArtifactXpCost(currentLevel, targetLevel, rarity) * ARTIFACT_MORA_PER_EXP
+}
@@ -0,0 +1,104 @@
+/**
+ * materialUsage.js
+ *
+ * Who needs what. The composable's materialUsage map lists, per raw material
+ * name, every owned character goal section that needs it:
+ *
+ *   { [materialName]: [{ charName, category, label, count }] }
+ *
+ * The material summary shows materials differently from that map — tiered
+ * families collapsed into one row, EXP as books and ores — so the helpers
+ * here fold the raw names the same way before adding things up:
+ *
+ *   - an EXP book or ore stands for all of its EXP (CHARACTER_EXP / WEAPON_EXP),
+ *     counted in EXP
+ *   - a tiered material stands for its whole family, each tier counted as
+ *     the lowest-tier items it's crafted from, so shares compare like for like
+ *   - anything else stands for itself
+ */
+
+import { getMaterialFamily } from './crafting.js'
+import { CHARACTER_EXP, WEAPON_EXP, CHARACTER_EXP_MATERIALS, WEAPON_EXP_MATERIALS } from './expOptimiser.js'
+
+/**
+ * The group a material name belongs to, as { key, unit, names, weightOf }:
+ *   key      — group name: the EXP placeholder, the family's name or the material
+ *   unit     — 'EXP' for EXP groups, null for item counts
+ *   names    — raw usage names in the group, lowest tier first
+ *   weightOf — name → how many of the group's base unit one item is
+ */
+function materialGroup(name) {
+  for (const [placeholder, table] of [[CHARACTER_EXP, CHARACTER_EXP_MATERIALS], [WEAPON_EXP, WEAPON_EXP_MATERIALS]]) {
+    if (name === placeholder || table.items.some(item => item.name === name)) {
+      return { key: placeholder, unit: 'EXP', names: [placeholder], weightOf: () => 1 }
+    }
+  }
+
+  const entry = getMaterialFamily(name)
+  if (!entry) return { key: name, unit: null, names: [name], weightOf: () => 1 }
+
+  const weights = {}
+  let weight = 1
+  for (const tier of entry.family.tiers) {
+    if (tier.craftCost > 0) weight *= tier.craftCost
+    weights[tier.name] = weight
+  }
+  return { key: entry.family.name, unit: null, names: entry.family.tiers.map(t => t.name), weightOf: n => weights[n] }
+}
+
+/**
+ * Everyone needing a material (or its family / EXP), for a material
+ * summary row:
+ *   { key, unit, total, characters: [{ charName, share, parts }] }
+ *
+ * characters keep the usage map's order (roster priority). share is 0–1 of
+ * the group total; parts are that character's sections as
+ * { category, label, name, count }, name being the raw material (the tier,
+ * for a family).
+ */
+export function usageOf(usage, materialName) {
+  const group = materialGroup(materialName)
+  const byCharacter = new Map()
+  let total = 0
+
+  for (const name of group.names) {
+    for (const entry of usage[name] ?? []) {
+      const weighted = entry.count * group.weightOf(name)
+      total += weighted
+      if (!byCharacter.has(entry.charName)) byCharacter.set(entry.charName, { charName: entry.charName, weighted: 0, parts: [] })
+      const row = byCharacter.get(entry.charName)
+      row.weighted += weighted
+      row.parts.push({ category: entry.category, label: entry.label, name, count: entry.count })
+    }
+  }
+
+  const order = Object.values(usage).flat().map(entry => entry.charName)
+  const characters = [...byCharacter.values()]
+    .sort((a, b) => order.indexOf(a.charName) - order.indexOf(b.charName))
+    .map(({ charName, weighted, parts }) => ({ charName, share: total > 0 ? weighted / total : 0, parts }))
+
+  return { key: group.key, unit: group.unit, total, characters }
+}
+
+/**
+ * One character's share of every material they need, for the progress
+ * dashboard: [{ key, unit, counts, share }], biggest share first.
+ *   counts — { [rawName]: count } the character needs within the group
+ *   share  — 0–1 of the roster total for the group (see usageOf())
+ */
+export function characterShares(usage, charName) {
+  const seen = new Set()
+  const rows = []
+  for (const [name, entries] of Object.entries(usage)) {
+    if (!entries.some(entry => entry.charName === charName)) continue
+    const group = materialGroup(name)
+    if (seen.has(group.key)) continue
+    seen.add(group.key)
+
+    const row = usageOf(usage, name).characters.find(c => c.charName === charName)
+    const counts = {}
+    for (const part of row.parts) counts[part.name] = (counts[part.name] ?? 0) + part.count
+    rows.push({ key: group.key, unit: group.unit, counts, share: row.share })
+  }
+  return rows.sort((a, b) => b.share - a.share)
+}
@@ -0,0 +1,244 @@
+/**
+ * rosterFilters.js
+ *
+ * Filtering, sorting and grouping for the character grid. The grid's choices
+ * live in state.rosterView (saved with the profile):
+ *
+ *   { elements, weaponTypes, rarities, regions, goal, sortBy, groupBy }
+ *
+ * The four lists are filters where an empty list means "any" and a character
+ * matches when it has one of the listed values. goal is a single goal-state
+ * filter (a GOAL_FILTERS key, or null); sortBy a SORT_OPTIONS key and
+ * groupBy a GROUP_OPTIONS key or null.
+ *
+ * Goal-based filters and sorts read a progress map from the composable:
+ * { [charName]: { mora, completion, done, hasWeapon } } — see rosterProgress
+ * in useTrainingGuide.js. Characters without a goal aren't in it.
+ */
+
+import {
+  ELEMENT_COLOURS,
+  TRAVELER,
+  getTravelerElements,
+  getCharacterElement,
+  getCharacterWeaponType,
+  getCharacterRarity,
+  getCharacterRegion,
+  getAllCharacterNames,
+} from './genshinData.js'
+
+// ──────────────────────────────────────────────────────────
+// Options
+// ──────────────────────────────────────────────────────────
+
+/** Element codes in ELEMENT_COLOURS order → display name */
+export const ELEMENT_OPTIONS = Object.fromEntries(
+  Object.keys(ELEMENT_COLOURS).map(code => [code, code[8] + code.slice(9).toLowerCase()])
+)
+
+/** genshin-db weapon type codes → display name */
+export const WEAPON_TYPE_OPTIONS = {
+  WEAPON_SWORD_ONE_HAND: 'Sword',
+  WEAPON_CLAYMORE:       'Claymore',
+  WEAPON_POLE:           'Polearm',
+  WEAPON_BOW:            'Bow',
+  WEAPON_CATALYST:       'Catalyst',
+}
+
+export const RARITY_OPTIONS = [5, 4]
+
+/** Region filter value for characters genshin-db lists without a region */
+export const NO_REGION = 'Other'
+
+/** Every region a playable character comes from, in release order, NO_REGION last */
+export const REGION_OPTIONS = (() => {
+  const order = ['Mondstadt', 'Liyue', 'Inazuma', 'Sumeru', 'Fontaine', 'Natlan', 'Nod-Krai', 'Snezhnaya']
+  const found = new Set(getAllCharacterNames().map(name => getCharacterRegion(name) ?? NO_REGION))
+  const known = order.filter(region => found.has(region))
+  const unknown = [...found].filter(region => !order.includes(region) && region !== NO_REGION).sort()
+  return [...known, ...unknown, ...(found.has(NO_REGION) ? [NO_REGION] : [])]
+})()
+
+/** Goal-state filters; only characters with a goal can match them */
+export const GOAL_FILTERS = {
+  incomplete: 'Goal not done',
+  done:       'Goal done',
+  weapon:     'Weapon set',
+}
+
+export const SORT_OPTIONS = {
+  default:    'Default',  // priority order; A–Z while editing the roster
+  name:       'Name',
+  rarity:     'Rarity',
+  mora:       'Mora left',
+  completion: 'Completion',
+}
+
+export const GROUP_OPTIONS = {
+  element:    'Element',
+  weaponType: 'Weapon type',
+  rarity:     'Rarity',
+  region:     'Region',
+}
+
+/** The grid's settings before the user changes anything */
+export function createRosterView() {
+  return {
+    elements:    [],
+    weaponTypes: [],
+    rarities:    [],
+    regions:     [],
+    goal:        null,
+    sortBy:      'default',
+    groupBy:     null,
+  }
+}
+
+/**
+ * A saved rosterView with anything unknown dropped (options can disappear
+ * between versions), filled up with the defaults.
+ */
+export function normaliseRosterView(saved) {
+  const view = createRosterView()
+  if (!saved || typeof saved !== 'object') return view
+
+  const keep = (list, allowed) => Array.isArray(list) ? list.filter(v => allowed.includes(v)) : []
+  view.elements    = keep(saved.elements, Object.keys(ELEMENT_OPTIONS))
+  view.weaponTypes = keep(saved.weaponTypes, Object.keys(WEAPON_TYPE_OPTIONS))
+  view.rarities    = keep(saved.rarities, RARITY_OPTIONS)
+  view.regions     = keep(saved.regions, REGION_OPTIONS)
+  if (Object.keys(GOAL_FILTERS).includes(saved.goal))    view.goal = saved.goal
+  if (Object.keys(SORT_OPTIONS).includes(saved.sortBy))  view.sortBy = saved.sortBy
+  if (Object.keys(GROUP_OPTIONS).includes(saved.groupBy)) view.groupBy = saved.groupBy
+  return view
+}
+
+/** Number of filters in use (search not included) */
+export function activeFilterCount(view) {
+  return view.elements.length + view.weaponTypes.length + view.rarities.length + view.regions.length +
+    (view.goal ? 1 : 0)
+}
+
+// ──────────────────────────────────────────────────────────
+// Character facts
+// ──────────────────────────────────────────────────────────
+
+const _infoCache = {}
+
+/** { element, weaponType, rarity, region } of a character, region NO_REGION when unknown */
+function characterInfo(name) {
+  if (!_infoCache[name]) {
+    _infoCache[name] = {
+      element:    getCharacterElement(name),
+      weaponType: getCharacterWeaponType(name),
+      rarity:     getCharacterRarity(name),
+      region:     getCharacterRegion(name) ?? NO_REGION,
+    }
+  }
+  return _infoCache[name]
+}
+
+/**
+ * Element codes a character counts as. The Traveler has no element of their
+ * own, so they count as every element unlocked in their goal (every released
+ * one before a goal exists).
+ */
+function characterElements(name, goals) {
+  if (name !== TRAVELER) return [characterInfo(name).element]
+  const elements = goals[name]?.elements ? Object.keys(goals[name].elements) : getTravelerElements()
+  return elements.map(element => `ELEMENT_${element.toUpperCase()}`)
+}
+
+// ──────────────────────────────────────────────────────────
+// Filter, sort, group
+// ──────────────────────────────────────────────────────────
+
+/**
+ * names:    characters in their default order
+ * view:     state.rosterView
+ * progress: see the top of this file
+ * goals:    state.characterGoals (for the Traveler's elements)
+ * search:   name substring, case-insensitive ('' for none)
+ */
+export function filterRoster(names, view, progress, goals, search = '') {
+  const query = search.trim().toLowerCase()
+  return names.filter(name => {
+    const info = characterInfo(name)
+    if (query && !name.toLowerCase().includes(query)) return false
+    if (view.elements.length > 0 && !characterElements(name, goals).some(e => view.elements.includes(e))) return false
+    if (view.weaponTypes.length > 0 && !view.weaponTypes.includes(info.weaponType)) return false
+    if (view.rarities.length > 0 && !view.rarities.includes(info.rarity)) return false
+    if (view.regions.length > 0 && !view.regions.includes(info.region)) return false
+
+    if (view.goal) {
+      const entry = progress[name]
+      if (!entry) return false
+      if (view.goal === 'incomplete' && entry.done) return false
+      if (view.goal === 'done' && !entry.done) return false
+      if (view.goal === 'weapon' && !entry.hasWeapon) return false
+    }
+    return true
+  })
+}
+
+/**
+ * Sorted copy of names. 'default' keeps the order given (priority for the
+ * owned roster); the goal-based sorts put characters without a goal last.
+ * Ties keep their default order.
+ */
+export function sortRoster(names, sortBy, progress) {
+  const byGoal = (pick) => (a, b) => {
+    const pa = progress[a]
+    const pb = progress[b]
+    if (!pa || !pb) return (pa ? 0 : 1) - (pb ? 0 : 1)
+    return pick(pb) - pick(pa)
+  }
+  const compare = {
+    name:       (a, b) => a.localeCompare(b),
+    rarity:     (a, b) => (characterInfo(b).rarity ?? 0) - (characterInfo(a).rarity ?? 0),
+    mora:       byGoal(p => p.mora),
+    completion: byGoal(p => p.completion),
+  }[sortBy]
+  return compare ? names.slice().sort(compare) : names.slice()
+}
+
+/**
+ * Splits names (already sorted) into [{ key, label, names }] sections for
+ * groupBy, in option order, leaving out empty ones. Without grouping there's
+ * one section with a null label. The Traveler goes under their first element;
+ * anyone matching no option (a Traveler with no element) goes under "Other".
+ */
+export function groupRoster(names, groupBy, goals) {
+  if (!groupBy) return [{ key: 'all', label: null, names }]
+
+  const { keys, labelOf, keyOf } = {
+    element: {
+      keys:    Object.keys(ELEMENT_OPTIONS),
+      labelOf: key => ELEMENT_OPTIONS[key],
+      keyOf:   name => characterElements(name, goals)[0],
+    },
+    weaponType: {
+      keys:    Object.keys(WEAPON_TYPE_OPTIONS),
+      labelOf: key => WEAPON_TYPE_OPTIONS[key],
+      keyOf:   name => characterInfo(name).weaponType,
+    },
+    rarity: {
+      keys:    RARITY_OPTIONS,
+      labelOf: key => `${key}★`,
+      keyOf:   name => characterInfo(name).rarity,
+    },
+    region: {
+      keys:    REGION_OPTIONS,
+      labelOf: key => key,
+      keyOf:   name => characterInfo(name).region,
+    },
+  }[groupBy]
+
+  const sections = keys
+    .map(key => ({ key: String(key), label: labelOf(key), names: names.filter(name => keyOf(name) === key) }))
+    .filter(section => section.names.length > 0)
+
+  const rest = names.filter(name => !keys.includes(keyOf(name)))
+  if (rest.length > 0) sections.push({ key: 'other', label: 'Other', names: rest })
+  return sections
+}
@@ -0,0 +1,71 @@
+/**
+ * shareLink.js
+ *
+ * Share links: one character's goal, or a whole roster's, packed into the
+ * URL hash so a teammate can open it in the app:
+ *
+ *   https://…/#share=eyJzY2hlbWFWZXJzaW9uIjo0LCJv…
+ *
+ * The payload is a cut-down export — { schemaVersion, ownedCharacters,
+ * characterGoals } with every goal field that matches a default goal left
+ * out — as JSON, UTF-8, then URL-safe base64 (RFC 4648 §5, no padding).
+ * Nothing is sent anywhere: the hash never reaches a server.
+ *
+ * This file only packs and unpacks; which fields are left out, and
+ * checking what comes back, is the composable's job (see the share link
+ * section of useTrainingGuide.js).
+ */
+
+/** What a share link's hash starts with */
+export const SHARE_HASH_PREFIX = '#share='
+
+// ──────────────────────────────────────────────────────────
+// Base64url
+// ──────────────────────────────────────────────────────────
+
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text)
+  let binary = ''
+  for (const byte of bytes) binary += String.fromCharCode(byte)
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+/** The decoded text, or null when it isn't base64url of valid UTF-8 */
+function fromBase64Url(encoded) {
+  try {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'))
+    const bytes = Uint8Array.from(binary, ch => ch.charCodeAt(0))
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes)
+  } catch {
+    return null
+  }
+}
+
+// ──────────────────────────────────────────────────────────
+// Links
+// ──────────────────────────────────────────────────────────
+
+/** The hash for a payload: "#share=…" */
+export function encodeShareHash(payload) {
+  return SHARE_HASH_PREFIX + toBase64Url(JSON.stringify(payload))
+}
+
+/** True if a location hash is a share link (it may still fail to decode) */
+export function isShareHash(hash) {
+  return typeof hash === 'string' && hash.startsWith(SHARE_HASH_PREFIX)
+}
+
+/**
+ * Unpacks a share link's hash. Returns { payload, error }: the parsed JSON,
+ * or null and why it couldn't be read (cut off when copied, edited by hand).
+ */
+export function decodeShareHash(hash) {
+  if (!isShareHash(hash)) return { payload: null, error: 'Not a share link' }
+  const text = fromBase64Url(hash.slice(SHARE_HASH_PREFIX.length))
+  if (text === null) return { payload: null, error: 'The link is damaged — it may have been cut off when it was copied.' }
+  try {
+    return { payload: JSON.parse(text), error: null }
+  } catch {
+    return { payload: null, error: 'The link is damaged — it may have been cut off when it was copied.' }
+  }
+}
@@ -0,0 +1,12 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { encodeShareHash, decodeShareHash } from './shareLink.js'
+
+test('a share hash round-trips', () => {
+  const payload = { schemaVersion: 4, ownedCharacters: ['Hu Tao'], characterGoals: { 'Hu Tao': { targetLevel: 80 } } }
+  assert.deepEqual(decodeShareHash(encodeShareHash(payload)), { payload, error: null })
+})
+
+test('a damaged hash is rejected', () => {
+  assert.match(decodeShareHash('#share=eyJzY2hlbWFW').error, /damaged/)
+})
@@ -0,0 +1,210 @@
+/**
+ * weaponMaterials.js
+ *
+ * Weapon ascension materials across the roster. Weapons of different
+ * characters often ascend with the same Domain of Forgery series or the same
+ * elite / common enemy drops; the Weapon tab only ever shows one of them.
+ *
+ *   planWeaponMaterials() — every planned weapon, grouped by material
+ *                           family, with combined totals and the weekdays
+ *                           each domain series is open
+ *   weaponBlocks()        — for one character's weapon: its ascension
+ *                           phases, which other weapons share its families,
+ *                           and what those weapons go short of because of it
+ *
+ * A planned weapon is { charName, weapon, from, to }; lists of them are in
+ * roster priority order, highest first. Only ascension materials count here
+ * — enhancement ores are shared by every weapon and live in the Materials
+ * view.
+ */
+
+import { getWeaponAscensionCosts, getMaterial, mergeCosts } from './genshinData.js'
+import { getMaterialFamily, resolveCrafting } from './crafting.js'
+import { allocateInventory } from './allocation.js'
+import { WEEKDAYS } from './farmingPlanner.js'
+import { ASCENSION_CAPS, LEVEL_LABELS, levelRank } from './levelTables.js'
+
+/** Group order: domain series first, then elite and common enemy drops */
+const KIND_ORDER = ['domain', 'elite', 'common']
+
+/** Monday first; Sunday (every domain open) last */
+const WEEK = [...WEEKDAYS.slice(1), WEEKDAYS[0]]
+
+// ──────────────────────────────────────────────────────────
+// Helpers
+// ──────────────────────────────────────────────────────────
+
+/**
+ * What kind of family a weapon ascension material belongs to: 'domain'
+ * (a Domain of Forgery series), 'elite' or 'common' (enemy drops, told
+ * apart by their top tier's rarity), or null for untiered materials (Mora).
+ */
+export function weaponMaterialKind(materialName) {
+  const entry = getMaterialFamily(materialName)
+  if (!entry) return null
+  const tiers = entry.family.tiers
+  if (tiers.some(t => getMaterial(t.name)?.dropDomainName)) return 'domain'
+  return (getMaterial(tiers[tiers.length - 1].name)?.rarity ?? 0) >= 4 ? 'elite' : 'common'
+}
+
+/** Names of the material families a cost list draws on */
+function familyNames(costs) {
+  const names = new Set()
+  for (const item of costs) {
+    const entry = getMaterialFamily(item.name)
+    if (entry) names.add(entry.family.name)
+  }
+  return names
+}
+
+function ascensionCosts({ weapon, from, to }) {
+  return levelRank(from) < levelRank(to) ? getWeaponAscensionCosts(weapon, from, to) : []
+}
+
+// ──────────────────────────────────────────────────────────
+// Roster view
+// ──────────────────────────────────────────────────────────
+
+/**
+ * planned:   planned weapons, highest priority first (see above)
+ * inventory: { [materialName]: count } — not modified
+ *
+ * Returns:
+ *   groups   — [{ name, kind, domain, days, weapons, tiers, crafted,
+ *              craftingMora }] one per
+ *              material family, domain series first and then by how many
+ *              weapons use it:
+ *                domain  — Domain of Forgery name (domain series only)
+ *                days    — weekdays the domain is open (domain series only)
+ *                weapons — [{ charName, weapon, counts: { [tierName]: n } }]
+ *                tiers, crafted, craftingMora — the combined need resolved
+ *                          against the inventory, see resolveCrafting()
+ *   weekdays — [{ day, groups }] Monday to Sunday: the domain series open
+ *              that day, still short after crafting
+ *   mora     — Mora for every planned ascension
+ */
+export function planWeaponMaterials(planned, inventory) {
+  const all = []
+  const groups = {}
+  let mora = 0
+
+  for (const entry of planned) {
+    const costs = ascensionCosts(entry)
+    mergeCosts(all, costs)
+    for (const item of costs) {
+      if (item.name === 'Mora') {
+        mora += item.count
+        continue
+      }
+      const family = getMaterialFamily(item.name)?.family
+      if (!family) continue
+
+      if (!groups[family.name]) {
+        const kind = weaponMaterialKind(item.name)
+        const domainTier = kind === 'domain'
+          ? family.tiers.map(t => getMaterial(t.name)).find(m => m?.dropDomainName)
+          : null
+        groups[family.name] = {
+          name:    family.name,
+          kind,
+          domain:  domainTier?.dropDomainName ?? null,
+          days:    domainTier?.daysOfWeek ?? null,
+          weapons: [],
+        }
+      }
+      const group = groups[family.name]
+      let row = group.weapons.find(w => w.charName === entry.charName)
+      if (!row) {
+        row = { charName: entry.charName, weapon: entry.weapon, counts: {} }
+        group.weapons.push(row)
+      }
+      row.counts[item.name] = (row.counts[item.name] ?? 0) + item.count
+    }
+  }
+
+  const resolved = Object.fromEntries(resolveCrafting(all, inventory).families.map(f => [f.name, f]))
+  const list = Object.values(groups)
+    .map(group => {
+      const { tiers, crafted, craftingMora } = resolved[group.name]
+      return { ...group, tiers, crafted, craftingMora }
+    })
+    .sort((a, b) =>
+      KIND_ORDER.indexOf(a.kind) - KIND_ORDER.indexOf(b.kind) ||
+      b.weapons.length - a.weapons.length ||
+      a.name.localeCompare(b.name)
+    )
+
+  const weekdays = WEEK.map(day => ({
+    day,
+    groups: list.filter(g => g.days?.includes(day) && g.tiers.some(t => t.missing > 0)),
+  }))
+
+  return { groups: list, weekdays, mora }
+}
+
+// ──────────────────────────────────────────────────────────
+// One weapon
+// ──────────────────────────────────────────────────────────
+
+/** Missing materials as { [name]: count } */
+function missingByName(missing) {
+  return Object.fromEntries(missing.map(m => [m.name, m.count]))
+}
+
+/**
+ * What one character's planned weapon costs and who it competes with.
+ *
+ * charName:  whose weapon (must be in `planned`)
+ * planned:   every planned weapon, highest priority first
+ * inventory: { [materialName]: count } — not modified
+ *
+ * Returns:
+ *   phases     — [{ label, costs }] per ascension phase still to do, label
+ *                like '40/50' (the level after ascending)
+ *   sharedWith — [{ charName, weapon, families }] other planned weapons
+ *                using any of the same material families
+ *   blocks     — [{ charName, weapon, missing: [{ name, count }] }] lower
+ *                priorities that end up short of more because this weapon
+ *                takes its share of the stockpile first (Mora left out —
+ *                everything competes for it)
+ */
+export function weaponBlocks(charName, planned, inventory) {
+  const entry = planned.find(p => p.charName === charName)
+  if (!entry) return { phases: [], sharedWith: [], blocks: [] }
+
+  const phases = []
+  for (const cap of ASCENSION_CAPS) {
+    const ascended = `${cap}A`
+    if (levelRank(entry.from) >= levelRank(ascended) || levelRank(ascended) > levelRank(entry.to)) continue
+    phases.push({ label: LEVEL_LABELS[ascended], costs: getWeaponAscensionCosts(entry.weapon, cap, ascended) })
+  }
+
+  const own = familyNames(ascensionCosts(entry))
+  const sharedWith = []
+  for (const other of planned) {
+    if (other.charName === charName) continue
+    const families = [...familyNames(ascensionCosts(other))].filter(name => own.has(name))
+    if (families.length > 0) sharedWith.push({ charName: other.charName, weapon: other.weapon, families })
+  }
+
+  // Hand the stockpile out with and without this weapon; whatever the
+  // others are missing only in the first case is down to it
+  const toAllocate = list => list.map(p => ({ name: p.charName, costs: ascensionCosts(p) }))
+  const withIt    = allocateInventory(toAllocate(planned), inventory)
+  const withoutIt = allocateInventory(toAllocate(planned.filter(p => p.charName !== charName)), inventory)
+  const missingWithout = Object.fromEntries(withoutIt.map(r => [r.name, missingByName(r.missing)]))
+
+  const blocks = []
+  for (const result of withIt) {
+    if (result.name === charName) continue
+    const before = missingWithout[result.name] ?? {}
+    const missing = result.missing
+      .map(m => ({ name: m.name, count: m.count - (before[m.name] ?? 0) }))
+      .filter(m => m.count > 0 && m.name !== 'Mora')
+    if (missing.length > 0) {
+      blocks.push({ charName: result.name, weapon: planned.find(p => p.charName === result.name).weapon, missing })
+    }
+  }
+
+  return { phases, sharedWith, blocks }
+}